@@ -0,0 +1,74 @@
+/*
+  Admin REST API and Prometheus metrics, for operators running several rooms.
+
+  Every route needs `Authorization: Bearer <ADMIN_TOKEN>`. Without ADMIN_TOKEN set the routes
+  answer 404, so a default install exposes nothing.
+
+  GET    /api/admin/rooms                           list active rooms
+  GET    /api/admin/rooms/:roomId                   one room with its roster
+  DELETE /api/admin/rooms/:roomId                   close a room (everyone is disconnected)
+  DELETE /api/admin/rooms/:roomId/clients/:clientId kick one participant
+  GET    /metrics                                   Prometheus text format
+*/
+
+const crypto = require("crypto");
+const express = require("express");
+
+function tokenMatches(expected, given) {
+  const a = crypto.createHash("sha256").update(expected).digest();
+  const b = crypto.createHash("sha256").update(String(given || "")).digest();
+  return crypto.timingSafeEqual(a, b);
+}
+
+/**
+ * @param {{
+ *   token: string,
+ *   listRooms: () => object[],
+ *   describeRoom: (roomId: string) => object | null,
+ *   closeRoom: (roomId: string) => boolean,
+ *   kickClient: (roomId: string, clientId: string) => boolean,
+ *   metrics: { render: () => string },
+ * }} opts
+ */
+function createAdminRouter({ token, listRooms, describeRoom, closeRoom, kickClient, metrics }) {
+  const router = express.Router();
+
+  router.use(["/api/admin", "/metrics"], (req, res, next) => {
+    if (!token) return res.status(404).end();
+    const m = /^Bearer (.+)$/.exec(req.get("authorization") || "");
+    if (!m || !tokenMatches(token, m[1])) {
+      return res.status(401).set("WWW-Authenticate", "Bearer").json({ error: "unauthorized" });
+    }
+    next();
+  });
+
+  router.get("/api/admin/rooms", (_req, res) => {
+    res.json({ rooms: listRooms() });
+  });
+
+  router.get("/api/admin/rooms/:roomId", (req, res) => {
+    const room = describeRoom(req.params.roomId);
+    if (!room) return res.status(404).json({ error: "room_not_found" });
+    res.json(room);
+  });
+
+  router.delete("/api/admin/rooms/:roomId", (req, res) => {
+    if (!closeRoom(req.params.roomId)) return res.status(404).json({ error: "room_not_found" });
+    res.status(204).end();
+  });
+
+  router.delete("/api/admin/rooms/:roomId/clients/:clientId", (req, res) => {
+    if (!kickClient(req.params.roomId, req.params.clientId)) {
+      return res.status(404).json({ error: "client_not_found" });
+    }
+    res.status(204).end();
+  });
+
+  router.get("/metrics", (_req, res) => {
+    res.type("text/plain; version=0.0.4").send(metrics.render());
+  });
+
+  return router;
+}
+
+module.exports = { createAdminRouter };
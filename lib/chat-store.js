@@ -0,0 +1,233 @@
+/*
+  Per-room chat history behind a small synchronous interface, so the message handler stays simple.
+
+  append(roomId, message)           store one chat message (already carrying its id and ts); a message
+                                    whose id is already stored is left alone, so every node of a
+                                    cluster may append what it relays to one shared store
+  get(roomId, id)                   one message by id, or null
+  update(roomId, message)           replace the stored message with the same id (edit, delete, reactions)
+  recent(roomId, { since, limit })  newest messages after `since`, oldest first
+  all(roomId)                       the whole history, for export
+  setHostTokenHash(roomId, hash)    the room's host token hash (base64), which lets the host export
+  getHostTokenHash(roomId)          that hash, or null; persistent stores keep it after the room closes
+  closeRoom(roomId)                 the room is gone: free memory (persistent stores keep the data)
+
+  Picked with CHAT_STORE:
+  - memory (default): kept in the process, dropped when the room closes
+  - file: one JSON-lines file per room under CHAT_STORE_PATH (default ./data/chat)
+  - sqlite: one database at CHAT_STORE_PATH (default ./data/chat.sqlite), needs better-sqlite3
+*/
+
+const fs = require("fs");
+const path = require("path");
+
+// Most messages kept per room by the memory store (and cached by the file store)
+const DEFAULT_MAX_PER_ROOM = 1000;
+
+function newest(list, since, limit) {
+  const after = since ? list.filter((m) => m.ts > since) : list;
+  return limit ? after.slice(-limit) : after.slice();
+}
+
+function createMemoryChatStore({ maxPerRoom = DEFAULT_MAX_PER_ROOM } = {}) {
+  /** @type {Map<string, object[]>} */
+  const rooms = new Map();
+  /** @type {Map<string, string>} */
+  const hostTokenHashes = new Map();
+
+  return {
+    append(roomId, message) {
+      let list = rooms.get(roomId);
+      if (!list) {
+        list = [];
+        rooms.set(roomId, list);
+      }
+      if (list.some((m) => m.id === message.id)) return;
+      list.push(message);
+      if (list.length > maxPerRoom) list.shift();
+    },
+    get(roomId, id) {
+      const list = rooms.get(roomId) || [];
+      for (let i = list.length - 1; i >= 0; i--) if (list[i].id === id) return list[i];
+      return null;
+    },
+    update(roomId, message) {
+      const list = rooms.get(roomId) || [];
+      const i = list.findIndex((m) => m.id === message.id);
+      if (i !== -1) list[i] = message;
+    },
+    recent(roomId, { since = 0, limit = 0 } = {}) {
+      return newest(rooms.get(roomId) || [], since, limit);
+    },
+    all(roomId) {
+      return (rooms.get(roomId) || []).slice();
+    },
+    setHostTokenHash(roomId, hash) {
+      hostTokenHashes.set(roomId, hash);
+    },
+    getHostTokenHash(roomId) {
+      return hostTokenHashes.get(roomId) || null;
+    },
+    closeRoom(roomId) {
+      rooms.delete(roomId);
+      hostTokenHashes.delete(roomId);
+    },
+  };
+}
+
+function createFileChatStore({ dir, maxPerRoom = DEFAULT_MAX_PER_ROOM }) {
+  fs.mkdirSync(dir, { recursive: true });
+  // Replays come from memory; the file is only read once per room and for exports
+  const cache = createMemoryChatStore({ maxPerRoom });
+  const loaded = new Set();
+
+  function fileFor(roomId, ext = "jsonl") {
+    if (!/^[\w-]+$/.test(roomId)) throw new Error(`Invalid room id for chat file: ${roomId}`);
+    return path.join(dir, `${roomId}.${ext}`);
+  }
+
+  // Updates are appended as a new line with the same id; the last line for an id wins
+  function readAll(roomId) {
+    let text;
+    try {
+      text = fs.readFileSync(fileFor(roomId), "utf8");
+    } catch (e) {
+      if (e.code === "ENOENT") return [];
+      throw e;
+    }
+    const byId = new Map();
+    for (const line of text.split("\n")) {
+      if (!line) continue;
+      let m;
+      try { m = JSON.parse(line); } catch { continue; } // a torn last line after a crash
+      byId.set(m.id, m);
+    }
+    return [...byId.values()];
+  }
+
+  function load(roomId) {
+    if (loaded.has(roomId)) return;
+    loaded.add(roomId);
+    for (const m of readAll(roomId).slice(-maxPerRoom)) cache.append(roomId, m);
+  }
+
+  return {
+    append(roomId, message) {
+      load(roomId);
+      if (cache.get(roomId, message.id)) return;
+      fs.appendFileSync(fileFor(roomId), JSON.stringify(message) + "\n");
+      cache.append(roomId, message);
+    },
+    get(roomId, id) {
+      load(roomId);
+      return cache.get(roomId, id);
+    },
+    update(roomId, message) {
+      load(roomId);
+      fs.appendFileSync(fileFor(roomId), JSON.stringify(message) + "\n");
+      cache.update(roomId, message);
+    },
+    recent(roomId, opts) {
+      load(roomId);
+      return cache.recent(roomId, opts);
+    },
+    all(roomId) {
+      return readAll(roomId);
+    },
+    // Next to the chat, in <roomId>.host
+    setHostTokenHash(roomId, hash) {
+      fs.writeFileSync(fileFor(roomId, "host"), hash);
+    },
+    getHostTokenHash(roomId) {
+      try {
+        return fs.readFileSync(fileFor(roomId, "host"), "utf8").trim() || null;
+      } catch (e) {
+        if (e.code === "ENOENT") return null;
+        throw e;
+      }
+    },
+    closeRoom(roomId) {
+      loaded.delete(roomId);
+      cache.closeRoom(roomId);
+    },
+  };
+}
+
+function createSqliteChatStore({ file }) {
+  let Database;
+  try {
+    Database = require("better-sqlite3");
+  } catch {
+    throw new Error("CHAT_STORE=sqlite needs the better-sqlite3 package (npm install better-sqlite3)");
+  }
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const db = new Database(file);
+  db.pragma("journal_mode = WAL");
+  db.exec(`CREATE TABLE IF NOT EXISTS chat (
+    seq INTEGER PRIMARY KEY AUTOINCREMENT,
+    room_id TEXT NOT NULL,
+    msg_id TEXT NOT NULL,
+    ts INTEGER NOT NULL,
+    message TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS chat_room_ts ON chat (room_id, ts);
+  CREATE INDEX IF NOT EXISTS chat_room_msg ON chat (room_id, msg_id);
+  CREATE TABLE IF NOT EXISTS chat_room (
+    room_id TEXT PRIMARY KEY,
+    host_token_hash TEXT NOT NULL
+  );`);
+
+  // Several nodes may share the database and each append what it relays: the first one wins
+  const insert = db.prepare(
+    "INSERT INTO chat (room_id, msg_id, ts, message) SELECT ?, ?, ?, ? WHERE NOT EXISTS (SELECT 1 FROM chat WHERE room_id = ? AND msg_id = ?)"
+  );
+  const selectOne = db.prepare("SELECT message FROM chat WHERE room_id = ? AND msg_id = ?");
+  const updateOne = db.prepare("UPDATE chat SET message = ? WHERE room_id = ? AND msg_id = ?");
+  const selectRecent = db.prepare(
+    "SELECT message FROM (SELECT seq, message FROM chat WHERE room_id = ? AND ts > ? ORDER BY seq DESC LIMIT ?) ORDER BY seq"
+  );
+  const selectAll = db.prepare("SELECT message FROM chat WHERE room_id = ? ORDER BY seq");
+  const upsertHostTokenHash = db.prepare(
+    "INSERT INTO chat_room (room_id, host_token_hash) VALUES (?, ?) ON CONFLICT (room_id) DO UPDATE SET host_token_hash = excluded.host_token_hash"
+  );
+  const selectHostTokenHash = db.prepare("SELECT host_token_hash FROM chat_room WHERE room_id = ?");
+  const parse = (rows) => rows.map((r) => JSON.parse(r.message));
+
+  return {
+    append(roomId, message) {
+      insert.run(roomId, message.id, message.ts, JSON.stringify(message), roomId, message.id);
+    },
+    get(roomId, id) {
+      const row = selectOne.get(roomId, id);
+      return row ? JSON.parse(row.message) : null;
+    },
+    update(roomId, message) {
+      updateOne.run(JSON.stringify(message), roomId, message.id);
+    },
+    recent(roomId, { since = 0, limit = 0 } = {}) {
+      return parse(selectRecent.all(roomId, since, limit || -1));
+    },
+    all(roomId) {
+      return parse(selectAll.all(roomId));
+    },
+    setHostTokenHash(roomId, hash) {
+      upsertHostTokenHash.run(roomId, hash);
+    },
+    getHostTokenHash(roomId) {
+      const row = selectHostTokenHash.get(roomId);
+      return row ? row.host_token_hash : null;
+    },
+    closeRoom() {},
+  };
+}
+
+/** Builds the store named by CHAT_STORE from the environment. */
+function createChatStore(env = process.env) {
+  const kind = String(env.CHAT_STORE || "memory").trim().toLowerCase();
+  if (kind === "memory") return createMemoryChatStore();
+  if (kind === "file") return createFileChatStore({ dir: env.CHAT_STORE_PATH || path.join("data", "chat") });
+  if (kind === "sqlite") return createSqliteChatStore({ file: env.CHAT_STORE_PATH || path.join("data", "chat.sqlite") });
+  throw new Error(`Unknown CHAT_STORE "${kind}" (expected memory, file or sqlite)`);
+}
+
+module.exports = { createChatStore, createMemoryChatStore, createFileChatStore, createSqliteChatStore };
@@ -0,0 +1,65 @@
+/*
+  Lets several server.js nodes share rooms over a pub/sub bus (lib/pubsub.js).
+
+  Every node keeps a replica of each room's state next to its own sockets. The node that changes a
+  room publishes a snapshot of it; a message for a participant (or the whole room) is published and
+  delivered by whichever node holds the socket. Events from the node itself are ignored.
+
+  Events, one JSON object per bus message:
+    room        { snapshot }                      replace the room's state
+    room_closed { roomId }                        the room is gone: close its sockets, drop the replica
+    send        { roomId, clientId, message }     deliver to one participant
+    broadcast   { roomId, message, except }       deliver to everyone in the room but `except`
+    disconnect  { roomId, clientId, error }       close that participant's socket, sending `error` first
+    sync        {}                                a node started: everyone republishes its rooms
+
+  `handlers` has one function per event kind, called with the event.
+*/
+
+function createCluster({ pubsub, nodeId, channel = "uwt", handlers }) {
+  function publish(kind, fields) {
+    pubsub.publish(channel, JSON.stringify({ node: nodeId, kind, ...fields }));
+  }
+
+  pubsub.subscribe(channel, (raw) => {
+    let event;
+    try {
+      event = JSON.parse(raw);
+    } catch {
+      return;
+    }
+    if (!event || event.node === nodeId || !handlers[event.kind]) return;
+    try {
+      handlers[event.kind](event);
+    } catch (e) {
+      console.error(`cluster ${event.kind}:`, e);
+    }
+  });
+
+  // Catch up with the rooms other nodes already have
+  publish("sync", {});
+
+  return {
+    nodeId,
+    publishRoom(snapshot) {
+      publish("room", { snapshot });
+    },
+    closeRoom(roomId) {
+      publish("room_closed", { roomId });
+    },
+    send(roomId, clientId, message) {
+      publish("send", { roomId, clientId, message });
+    },
+    broadcast(roomId, message, except) {
+      publish("broadcast", { roomId, message, except: except || null });
+    },
+    disconnect(roomId, clientId, error) {
+      publish("disconnect", { roomId, clientId, error: error || null });
+    },
+    close() {
+      pubsub.close();
+    },
+  };
+}
+
+module.exports = { createCluster };
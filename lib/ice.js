@@ -0,0 +1,67 @@
+/*
+  ICE server list for RTCPeerConnection, built from the environment.
+
+  - STUN_URLS          comma separated STUN urls (defaults to two public servers)
+  - TURN_URLS          comma separated TURN/TURNS urls, e.g. "turn:turn.example.com:3478?transport=udp"
+  - TURN_SECRET        coturn `static-auth-secret` (use-auth-secret / TURN REST API):
+                       every response gets fresh credentials that expire after TURN_TTL_SECONDS
+  - TURN_USERNAME /    static long-term credentials, used when TURN_SECRET is not set
+    TURN_CREDENTIAL
+  - TURN_TTL_SECONDS   lifetime of REST credentials (default 86400)
+  - ICE_SERVERS        full JSON override of the list; TURN_* credentials are not applied to it
+*/
+
+const crypto = require("crypto");
+
+const DEFAULT_STUN_URLS = ["stun:stun.l.google.com:19302", "stun:global.stun.twilio.com:3478?transport=udp"];
+const DEFAULT_TTL_SECONDS = 86400;
+
+function splitList(value) {
+  return String(value || "").split(",").map((s) => s.trim()).filter(Boolean);
+}
+
+/**
+ * coturn REST API credentials: username is "<expiry unix time>:<user>",
+ * credential is base64(HMAC-SHA1(secret, username)).
+ */
+function turnRestCredentials(secret, userId, ttlSeconds, now = Date.now()) {
+  const expiry = Math.floor(now / 1000) + ttlSeconds;
+  const username = userId ? `${expiry}:${userId}` : String(expiry);
+  const credential = crypto.createHmac("sha1", secret).update(username).digest("base64");
+  return { username, credential, expiresAt: expiry * 1000 };
+}
+
+/**
+ * @param {NodeJS.ProcessEnv} env
+ * @param {{ userId?: string, now?: number }} [opts]
+ * @returns {{ iceServers: RTCIceServer[], expiresAt: number | null }}
+ */
+function buildIceConfig(env, { userId = "", now = Date.now() } = {}) {
+  if (env.ICE_SERVERS) {
+    const iceServers = JSON.parse(env.ICE_SERVERS);
+    if (!Array.isArray(iceServers)) throw new Error("ICE_SERVERS must be a JSON array");
+    return { iceServers, expiresAt: null };
+  }
+
+  const stunUrls = env.STUN_URLS !== undefined ? splitList(env.STUN_URLS) : DEFAULT_STUN_URLS;
+  const iceServers = stunUrls.map((urls) => ({ urls }));
+  let expiresAt = null;
+
+  const turnUrls = splitList(env.TURN_URLS);
+  if (turnUrls.length) {
+    if (env.TURN_SECRET) {
+      const ttl = Number(env.TURN_TTL_SECONDS) || DEFAULT_TTL_SECONDS;
+      const creds = turnRestCredentials(env.TURN_SECRET, userId, ttl, now);
+      iceServers.push({ urls: turnUrls, username: creds.username, credential: creds.credential });
+      expiresAt = creds.expiresAt;
+    } else if (env.TURN_USERNAME) {
+      iceServers.push({ urls: turnUrls, username: env.TURN_USERNAME, credential: env.TURN_CREDENTIAL || "" });
+    } else {
+      iceServers.push({ urls: turnUrls });
+    }
+  }
+
+  return { iceServers, expiresAt };
+}
+
+module.exports = { buildIceConfig, turnRestCredentials };
@@ -0,0 +1,116 @@
+/*
+  Abuse protection for the signaling socket, kept free of ws/express so it can be tested on its own.
+
+  - Token buckets per connection and message type (`rate` tokens per second, up to `burst`).
+  - Messages over the limit are dropped with a `rate_limited` error. Each drop (and each frame the
+    server rejects as invalid, see lib/protocol.js) costs a "strike"; a connection that runs out of
+    strikes is disconnected with `flooding`.
+
+  Overrides come from the environment:
+    RATE_LIMITS='{"chat":{"rate":2,"burst":10}}'  per-type buckets, merged over the defaults
+    MAX_PAYLOAD_BYTES=65536                       largest WebSocket frame accepted
+*/
+
+const DEFAULT_MAX_PAYLOAD_BYTES = 64 * 1024;
+
+/** Per message type; `default` covers every type without its own entry. */
+const DEFAULT_RATE_LIMITS = {
+  default: { rate: 5, burst: 20 },
+  // Trickle ICE sends a burst of candidates per connection (and the host has one per viewer)
+  signal: { rate: 50, burst: 300 },
+  join: { rate: 0.5, burst: 5 },
+  chat: { rate: 1, burst: 5 },
+  chat_edit: { rate: 1, burst: 5 },
+  chat_delete: { rate: 1, burst: 5 },
+  react: { rate: 2, burst: 10 },
+  reaction: { rate: 3, burst: 10 },
+  typing: { rate: 2, burst: 5 },
+  rename: { rate: 0.2, burst: 3 },
+  stats: { rate: 1, burst: 3 },
+};
+
+// Strikes: how much misbehaviour is tolerated before the socket is closed
+const DEFAULT_STRIKES = { rate: 1, burst: 20 };
+
+function createTokenBucket({ rate, burst }, now = Date.now) {
+  let tokens = burst;
+  let last = now();
+  function refill() {
+    const t = now();
+    tokens = Math.min(burst, tokens + ((t - last) / 1000) * rate);
+    last = t;
+  }
+  return {
+    take(n = 1) {
+      refill();
+      if (tokens < n) return false;
+      tokens -= n;
+      return true;
+    },
+    // Whether take(n) would succeed, without taking anything
+    available(n = 1) {
+      return Math.min(burst, tokens + ((now() - last) / 1000) * rate) >= n;
+    },
+    // Give back tokens taken for something that turned out not to count
+    refund(n = 1) {
+      refill();
+      tokens = Math.min(burst, tokens + n);
+    },
+  };
+}
+
+/**
+ * One per connection.
+ * check(type) -> "ok" | "limited" (drop it) | "flood" (disconnect)
+ * strike()    -> "ok" | "flood", for frames that were rejected for another reason
+ */
+function createRateLimiter({ limits = DEFAULT_RATE_LIMITS, strikes = DEFAULT_STRIKES, now = Date.now } = {}) {
+  const buckets = new Map();
+  const strikeBucket = createTokenBucket(strikes, now);
+
+  function bucketFor(type) {
+    const key = limits[type] ? type : "default";
+    let bucket = buckets.get(key);
+    if (!bucket) {
+      bucket = createTokenBucket(limits[key], now);
+      buckets.set(key, bucket);
+    }
+    return bucket;
+  }
+
+  function strike() {
+    return strikeBucket.take() ? "ok" : "flood";
+  }
+
+  return {
+    check(type) {
+      if (bucketFor(type).take()) return "ok";
+      return strike() === "ok" ? "limited" : "flood";
+    },
+    strike,
+  };
+}
+
+/** Reads MAX_PAYLOAD_BYTES and RATE_LIMITS; bad values throw so a typo doesn't go unnoticed. */
+function limitsFromEnv(env = process.env) {
+  const maxPayload = env.MAX_PAYLOAD_BYTES ? Number(env.MAX_PAYLOAD_BYTES) : DEFAULT_MAX_PAYLOAD_BYTES;
+  if (!Number.isInteger(maxPayload) || maxPayload < 1024) throw new Error("MAX_PAYLOAD_BYTES must be an integer >= 1024");
+
+  const limits = { ...DEFAULT_RATE_LIMITS };
+  if (env.RATE_LIMITS) {
+    const overrides = JSON.parse(env.RATE_LIMITS);
+    for (const [type, { rate, burst }] of Object.entries(overrides)) {
+      if (!(rate > 0) || !(burst >= 1)) throw new Error(`RATE_LIMITS.${type} needs rate > 0 and burst >= 1`);
+      limits[type] = { rate, burst };
+    }
+  }
+  return { maxPayload, limits };
+}
+
+module.exports = {
+  DEFAULT_RATE_LIMITS,
+  DEFAULT_MAX_PAYLOAD_BYTES,
+  createTokenBucket,
+  createRateLimiter,
+  limitsFromEnv,
+};
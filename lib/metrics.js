@@ -0,0 +1,51 @@
+/*
+  Tiny Prometheus text-format registry (no dependencies).
+
+  - counters are incremented by the server as things happen
+  - gauges are read from live state by a collect() callback at scrape time
+*/
+
+function labelString(labels) {
+  const keys = Object.keys(labels || {});
+  if (!keys.length) return "";
+  const parts = keys.map((k) => `${k}="${String(labels[k]).replace(/\\/g, "\\\\").replace(/"/g, '\\"').replace(/\n/g, "\\n")}"`);
+  return `{${parts.join(",")}}`;
+}
+
+function createMetrics() {
+  /** @type {Map<string, { type: 'counter'|'gauge', help: string, values?: Map<string, number>, collect?: () => Array<[object, number]> }>} */
+  const families = new Map();
+
+  function counter(name, help) {
+    const values = new Map();
+    families.set(name, { type: "counter", help, values });
+    return {
+      inc(labels = {}, n = 1) {
+        const key = labelString(labels);
+        values.set(key, (values.get(key) || 0) + n);
+      },
+    };
+  }
+
+  function gauge(name, help, collect) {
+    families.set(name, { type: "gauge", help, collect });
+  }
+
+  function render() {
+    const lines = [];
+    for (const [name, family] of families) {
+      lines.push(`# HELP ${name} ${family.help}`);
+      lines.push(`# TYPE ${name} ${family.type}`);
+      if (family.type === "counter") {
+        for (const [labels, value] of family.values) lines.push(`${name}${labels} ${value}`);
+      } else {
+        for (const [labels, value] of family.collect()) lines.push(`${name}${labelString(labels)} ${value}`);
+      }
+    }
+    return lines.join("\n") + "\n";
+  }
+
+  return { counter, gauge, render };
+}
+
+module.exports = { createMetrics };
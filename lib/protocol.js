@@ -0,0 +1,564 @@
+/*
+  The signaling protocol between server.js and the browser client, in one place:
+  message schemas (a JSON Schema subset), error codes and the protocol version.
+
+  Loaded with require() by the server and as a plain <script> by the page (window.UWTProtocol),
+  so it must stay free of dependencies. PROTOCOL.md is generated from these definitions:
+    npm run docs:protocol
+*/
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) module.exports = factory();
+  else root.UWTProtocol = factory();
+})(typeof self !== "undefined" ? self : this, function () {
+  "use strict";
+
+  // Bump on any change an older client or server could not handle
+  const PROTOCOL_VERSION = 1;
+
+  const REACTION_EMOJIS = ["👍", "😂", "😮", "❤️", "🔥", "👏", "😢", "🎉"];
+
+  /*
+    Error codes. `fatal` errors end the session: the client stops reconnecting and
+    shows the message instead of retrying.
+  */
+  const ERRORS = {
+    invalid_json: { message: "Messages must be JSON objects." },
+    invalid_message: { message: "Message does not match the protocol." },
+    unknown_type: { message: "Unknown message type." },
+    protocol_mismatch: { fatal: true, message: "This page is out of date. Reload it to reconnect." },
+    rate_limited: { message: "Too many messages, slow down." },
+    flooding: { fatal: true, message: "Too many messages. You have been disconnected." },
+    not_in_room: { message: "Join a room first." },
+    room_not_found: { fatal: true, message: "Room not found." },
+    host_token_invalid: { fatal: true, message: "Only the room creator can host this room." },
+    host_replaced: { fatal: true, message: "This room is now hosted from another tab or device." },
+    password_required: { message: "This room requires a password." },
+    bad_password: { message: "Wrong room password." },
+    not_allowed: { fatal: true, message: "Your name is not on this room's guest list." },
+    banned: { fatal: true, message: "You are banned from this room." },
+    kicked: { fatal: true, message: "You were removed from the room." },
+    muted: { message: "The host muted you in this room." },
+    not_host: { message: "Only the host can do that." },
+    not_viewer: { message: "Only viewers can do that." },
+    waiting_room: { message: "You are in the waiting room until the host lets you in." },
+    invalid_target: { message: "No such viewer in this room." },
+    talk_not_allowed: { message: "The host hasn't allowed you to talk." },
+    name_rejected: { message: "You can't use that name." },
+    message_not_found: { message: "No such message." },
+    not_your_message: { message: "You can only change your own messages." },
+    sfu_error: { message: "The SFU relay could not handle that." },
+  };
+
+  // ---- shared definitions (rendered once in PROTOCOL.md) ----
+
+  const id = { type: "string", minLength: 1, maxLength: 64 };
+  const name = { type: "string", maxLength: 100 };
+
+  const SessionDescription = {
+    title: "SessionDescription",
+    description: "RTCSessionDescription as JSON.",
+    type: "object",
+    required: ["type", "sdp"],
+    properties: {
+      type: { enum: ["offer", "answer"] },
+      sdp: { type: "string", maxLength: 32768 },
+    },
+    additionalProperties: false,
+  };
+
+  const IceCandidate = {
+    title: "IceCandidate",
+    description: "RTCIceCandidate as JSON.",
+    type: "object",
+    required: ["candidate"],
+    properties: {
+      candidate: { type: "string", maxLength: 1024 },
+      sdpMid: { type: ["string", "null"], maxLength: 64 },
+      sdpMLineIndex: { type: ["integer", "null"], minimum: 0, maximum: 1023 },
+      usernameFragment: { type: ["string", "null"], maxLength: 256 },
+    },
+    additionalProperties: false,
+  };
+
+  const SignalData = {
+    title: "SignalData",
+    description: "WebRTC negotiation payload: a description, a candidate, or both.",
+    type: "object",
+    minProperties: 1,
+    properties: { description: SessionDescription, candidate: IceCandidate },
+    additionalProperties: false,
+  };
+
+  const Participant = {
+    title: "Participant",
+    type: "object",
+    required: ["id", "name"],
+    properties: {
+      id,
+      name,
+      away: { type: "boolean", description: "Connection dropped; the place is kept for a resume." },
+      muted: { type: "boolean", description: "Muted in chat by the host." },
+      waiting: { type: "boolean", description: "In the waiting room: can chat, gets no stream yet." },
+      inCall: { type: "boolean", description: "Sends its microphone (and maybe camera) to everyone: connect to it on the call channel." },
+      camera: { type: "boolean", description: "In the call with its camera on." },
+      canTalk: { type: "boolean", description: "Viewers while the call is restricted: the host allowed them to talk." },
+    },
+  };
+
+  const Roster = {
+    title: "Roster",
+    type: "object",
+    required: ["host", "viewers"],
+    properties: {
+      host: { type: ["object", "null"], properties: Participant.properties, description: "Participant, or null while no host is connected." },
+      hostReconnecting: { type: "boolean" },
+      waitingRoom: { type: "boolean", description: "The host lets viewers in one by one." },
+      callOpen: { type: "boolean", description: "Any viewer may join the call; otherwise only those the host allowed." },
+      viewers: { type: "array", items: Participant },
+    },
+  };
+
+  const ChatMessage = {
+    title: "ChatMessage",
+    type: "object",
+    required: ["id", "from", "name", "message", "ts"],
+    properties: {
+      id,
+      from: { type: "string", description: "Sender's client id." },
+      name,
+      message: { type: "string", maxLength: 2000, description: "Empty once deleted." },
+      ts: { type: "integer", description: "Server time, ms since epoch." },
+      replyTo: {
+        type: "object",
+        required: ["id", "name", "message"],
+        properties: { id, name, message: { type: "string" } },
+        description: "Short copy of the message this one replies to.",
+      },
+      reactions: {
+        type: "object",
+        additionalProperties: { type: "array", items: { type: "string" } },
+        description: "Emoji -> ids of the people who reacted.",
+      },
+      edited: { type: "integer", description: "When it was last edited." },
+      deleted: { type: "boolean" },
+    },
+  };
+
+  const Stats = {
+    title: "Stats",
+    description: "Receive-side numbers from getStats(); unknown fields are ignored.",
+    type: "object",
+    properties: {
+      bitrateKbps: { type: ["number", "null"] },
+      fps: { type: ["number", "null"] },
+      width: { type: ["number", "null"] },
+      height: { type: ["number", "null"] },
+      rttMs: { type: ["number", "null"] },
+      jitterMs: { type: ["number", "null"] },
+      lossPct: { type: ["number", "null"] },
+      candidateType: { type: ["string", "null"], maxLength: 16 },
+      latencyMs: { type: ["number", "null"], description: "Estimated glass-to-glass delay from the host's capture to this viewer's screen." },
+    },
+  };
+
+  const Media = {
+    title: "Media",
+    description: "What synced playback plays. Everyone loads their own copy: the local file of that name, or `url`.",
+    type: "object",
+    required: ["name"],
+    properties: {
+      name: { type: "string", minLength: 1, maxLength: 255 },
+      size: { type: "integer", minimum: 0, description: "Bytes, for a local file." },
+      duration: { type: "number", minimum: 0, description: "Seconds, once the host's player knows it." },
+      url: { type: "string", maxLength: 2048, description: "http(s) URL everyone can load." },
+    },
+    additionalProperties: false,
+  };
+
+  const playbackFields = {
+    source: { enum: ["screen", "file"], description: "What the room watches: the host's screen share or synced playback." },
+    media: Media,
+    paused: { type: "boolean" },
+    position: { type: "number", minimum: 0, description: "Seconds into the media at `at`." },
+    rate: { type: "number", minimum: 0.25, maximum: 4 },
+  };
+
+  const Playback = {
+    title: "Playback",
+    description: "Synced playback state. While playing, the position now is `position + (serverNow - at) / 1000 * rate`.",
+    type: "object",
+    required: ["source"],
+    properties: {
+      ...playbackFields,
+      at: { type: "integer", description: "Server time `position` was taken at, ms since epoch (see `time_sync`)." },
+    },
+  };
+
+  const channel = {
+    enum: ["stream", "call"],
+    description: "`stream` (default): the host's share. `call`: the separate connections that carry call audio/video.",
+  };
+
+  const DEFINITIONS = { SessionDescription, IceCandidate, SignalData, Participant, Roster, ChatMessage, Stats, Media, Playback };
+
+  // ---- client -> server ----
+  // Strict: unknown fields are rejected with invalid_message.
+
+  const CLIENT_MESSAGES = {
+    join: {
+      description: "Enter a room as host (needs the host token) or viewer. `resume` takes back a previous session id.",
+      required: ["roomId"],
+      properties: {
+        protocol: { type: "integer", description: "PROTOCOL_VERSION the client speaks; must match the server's." },
+        roomId: id,
+        role: { enum: ["host", "viewer"] },
+        name,
+        hostToken: { type: ["string", "null"], maxLength: 256 },
+        password: { type: "string", maxLength: 200 },
+        resume: {
+          type: "object",
+          required: ["id", "token"],
+          properties: { id, token: { type: "string", maxLength: 256 }, since: { type: "number" } },
+          additionalProperties: false,
+        },
+      },
+    },
+    signal: {
+      description: "Relay WebRTC negotiation: the stream between the host and a viewer (or the SFU relay, `to: \"sfu\"`), call media between anyone and a participant in the call.",
+      required: ["to", "data"],
+      properties: { to: id, data: SignalData, channel },
+    },
+    chat: {
+      description: "Post a chat message, optionally as a reply.",
+      required: ["message"],
+      properties: { message: { type: "string", maxLength: 2000 }, replyTo: id },
+    },
+    chat_edit: {
+      description: "Edit one of your own messages.",
+      required: ["messageId", "message"],
+      properties: { messageId: id, message: { type: "string", minLength: 1, maxLength: 2000 } },
+    },
+    chat_delete: {
+      description: "Delete one of your own messages (the host may delete any).",
+      required: ["messageId"],
+      properties: { messageId: id },
+    },
+    react: {
+      description: "Toggle an emoji reaction on a message.",
+      required: ["messageId", "emoji"],
+      properties: { messageId: id, emoji: { enum: REACTION_EMOJIS } },
+    },
+    reaction: {
+      description: "Floating reaction over the video; relayed, not stored.",
+      required: ["emoji"],
+      properties: { emoji: { enum: REACTION_EMOJIS } },
+    },
+    typing: {
+      description: "Typing indicator; send `false` when done.",
+      properties: { typing: { type: "boolean" } },
+    },
+    stats: {
+      description: "Viewer only: receive-side stats for the host's stats panel.",
+      required: ["stats"],
+      properties: { stats: Stats },
+    },
+    time_sync: {
+      description: "Clock sync probe, answered right away with the server time. Works before joining.",
+      required: ["t0"],
+      properties: { t0: { type: "number", description: "Client clock when sent." } },
+    },
+    rename: {
+      description: "Change your display name.",
+      required: ["name"],
+      properties: { name },
+    },
+    kick: {
+      description: "Host only: disconnect a viewer.",
+      required: ["viewerId"],
+      properties: { viewerId: id },
+    },
+    ban: {
+      description: "Host only: ban a viewer (its id and name), or a name.",
+      properties: { viewerId: id, name },
+    },
+    mute: {
+      description: "Host only: mute or unmute a viewer's chat. A mute also covers their name, so it holds if they join again.",
+      required: ["viewerId"],
+      properties: { viewerId: id, muted: { type: "boolean" } },
+    },
+    admit: {
+      description: "Host only: let a viewer out of the waiting room, or everyone without `viewerId`.",
+      properties: { viewerId: id },
+    },
+    waiting_room: {
+      description: "Host only: hold new viewers in the waiting room until admitted. Turning it off admits everyone waiting.",
+      required: ["enabled"],
+      properties: { enabled: { type: "boolean" } },
+    },
+    recording: {
+      description: "Host only: the host started, paused, resumed or stopped recording the session.",
+      required: ["state"],
+      properties: { state: { enum: ["recording", "paused", "stopped"] } },
+    },
+    playback: {
+      description: "Host only: switch between screen share and synced playback, or report the host player's state (play, pause, seek, rate).",
+      required: ["source"],
+      properties: playbackFields,
+    },
+    call: {
+      description: "Join or leave the call (microphone, optionally camera), or turn the camera on or off in it.",
+      required: ["active"],
+      properties: { active: { type: "boolean" }, camera: { type: "boolean" } },
+    },
+    call_open: {
+      description: "Host only: let any viewer join the call, or only those allowed with `allow_talk`. Restricting it drops everyone else from the call.",
+      required: ["enabled"],
+      properties: { enabled: { type: "boolean" } },
+    },
+    allow_talk: {
+      description: "Host only: allow a viewer to talk while the call is restricted, or take it back (which drops them from the call).",
+      required: ["viewerId", "allowed"],
+      properties: { viewerId: id, allowed: { type: "boolean" } },
+    },
+    transfer_host: {
+      description: "Host only: make a connected viewer the host.",
+      required: ["to"],
+      properties: { to: id },
+    },
+    leave: {
+      description: "Leave on purpose. From the host this closes the room.",
+      properties: {},
+    },
+  };
+
+  // ---- server -> client ----
+  // Lenient: a newer server may add fields, clients ignore what they don't know.
+
+  const rosterEvent = {
+    type: "object",
+    required: ["kind"],
+    properties: {
+      kind: { enum: ["join", "back", "away", "leave", "rename", "role", "mute", "admit", "waiting_room", "call", "call_open", "allow_talk"] },
+      id,
+      name,
+      role: { enum: ["host", "viewer"] },
+    },
+  };
+
+  const SERVER_MESSAGES = {
+    hello: {
+      description: "First message on every connection.",
+      required: ["id", "resumeToken", "protocol"],
+      properties: { id, resumeToken: { type: "string" }, protocol: { type: "integer" } },
+    },
+    joined: {
+      description: "Reply to a successful `join`.",
+      required: ["roomId", "id", "role", "mode", "resumeToken", "resumed", "roster", "chatHistory"],
+      properties: {
+        roomId: id,
+        id,
+        role: { enum: ["host", "viewer"] },
+        mode: { enum: ["mesh", "sfu"] },
+        resumeToken: { type: "string" },
+        resumed: { type: "boolean" },
+        hostId: id,
+        waiting: { type: "boolean", description: "Viewer: you are in the waiting room; `host_ready` follows once you are let in." },
+        recording: { enum: ["recording", "paused"], description: "The host is recording the session." },
+        playback: Playback,
+        roster: Roster,
+        chatHistory: { type: "array", items: ChatMessage },
+      },
+    },
+    error: {
+      description: "Something was refused. `code` is one of the error codes below.",
+      required: ["code", "message"],
+      properties: { code: { enum: Object.keys(ERRORS) }, message: { type: "string" } },
+    },
+    system: {
+      description: "Human-readable notice for the chat log.",
+      required: ["message"],
+      properties: { message: { type: "string" } },
+    },
+    signal: {
+      description: "WebRTC negotiation from another participant or from the SFU relay (`from: \"sfu\"`).",
+      required: ["from", "data"],
+      properties: { roomId: id, from: id, data: SignalData, channel },
+    },
+    chat: {
+      description: "A new chat message.",
+      required: ChatMessage.required,
+      properties: { roomId: id, ...ChatMessage.properties },
+    },
+    chat_update: {
+      description: "A stored message was edited, deleted or reacted to; carries the whole message.",
+      required: ["chat"],
+      properties: { roomId: id, chat: ChatMessage },
+    },
+    typing: {
+      description: "Someone else started or stopped typing.",
+      required: ["from", "typing"],
+      properties: { roomId: id, from: id, name, typing: { type: "boolean" } },
+    },
+    reaction: {
+      description: "Floating reaction over the video.",
+      required: ["from", "emoji"],
+      properties: { roomId: id, from: id, name, emoji: { enum: REACTION_EMOJIS } },
+    },
+    roster_update: {
+      description: "The participant list changed; `roster` is the full new list.",
+      required: ["event", "roster"],
+      properties: { roomId: id, event: rosterEvent, roster: Roster },
+    },
+    viewer_joined: {
+      description: "Host only: a viewer joined or resumed; the host (mesh) sends it an offer.",
+      required: ["viewerId"],
+      properties: { roomId: id, viewerId: id, viewerName: name, resumed: { type: "boolean" } },
+    },
+    viewer_left: {
+      description: "Host only: a viewer is gone for good.",
+      required: ["viewerId"],
+      properties: { roomId: id, viewerId: id },
+    },
+    viewer_stats: {
+      description: "Host only: stats reported by a viewer.",
+      required: ["viewerId", "stats"],
+      properties: { roomId: id, viewerId: id, stats: Stats },
+    },
+    host_ready: {
+      description: "Viewers: a host is (again) online or let you in; drop old connections and wait for its offer.",
+      required: ["hostId"],
+      properties: { hostId: id },
+    },
+    host_reconnecting: {
+      description: "The host's connection dropped; the room waits `graceMs` for it.",
+      properties: { roomId: id, graceMs: { type: "integer" }, message: { type: "string" } },
+    },
+    host_left: {
+      description: "The room is closed.",
+      properties: { roomId: id, message: { type: "string" } },
+    },
+    host_granted: {
+      description: "You are now the host; keep `hostToken` to rejoin as host.",
+      required: ["hostToken", "roster"],
+      properties: { roomId: id, hostToken: { type: "string" }, roster: Roster },
+    },
+    host_changed: {
+      description: "The host handed the room to someone else.",
+      required: ["hostId"],
+      properties: { roomId: id, hostId: id, previousHostId: id, name },
+    },
+    muted: {
+      description: "To the muted viewer and the host: chat mute state changed.",
+      required: ["viewerId", "muted"],
+      properties: { roomId: id, viewerId: id, muted: { type: "boolean" } },
+    },
+    playback: {
+      description: "To everyone but the host: the room's source or synced playback state changed.",
+      required: Playback.required,
+      properties: { roomId: id, ...Playback.properties },
+    },
+    time_sync: {
+      description: "Answer to `time_sync`. Clock offset = `serverTime - (t0 + now) / 2`.",
+      required: ["t0", "serverTime"],
+      properties: { t0: { type: "number" }, serverTime: { type: "integer" } },
+    },
+    recording: {
+      description: "The host's recording of the session (stream and chat) started, paused, resumed or stopped.",
+      required: ["state"],
+      properties: { roomId: id, state: { enum: ["recording", "paused", "stopped"] } },
+    },
+  };
+
+  // ---- validation ----
+
+  function typeOf(v) {
+    if (v === null) return "null";
+    if (Array.isArray(v)) return "array";
+    if (typeof v === "number") return Number.isInteger(v) ? "integer" : "number";
+    return typeof v;
+  }
+
+  function matchesType(expected, v) {
+    const t = typeOf(v);
+    return [].concat(expected).some((e) => e === t || (e === "number" && t === "integer"));
+  }
+
+  /** Checks `value` against a schema; returns null or the first problem found. */
+  function validate(schema, value, path) {
+    const at = path || "value";
+    if (schema.type && !matchesType(schema.type, value)) return `${at} must be ${[].concat(schema.type).join(" or ")}`;
+    if (schema.enum && !schema.enum.includes(value)) return `${at} must be one of: ${schema.enum.join(", ")}`;
+
+    if (typeof value === "string") {
+      if (schema.maxLength !== undefined && value.length > schema.maxLength) return `${at} is longer than ${schema.maxLength}`;
+      if (schema.minLength !== undefined && value.length < schema.minLength) return `${at} is shorter than ${schema.minLength}`;
+    }
+    if (typeof value === "number") {
+      if (!Number.isFinite(value)) return `${at} must be finite`;
+      if (schema.minimum !== undefined && value < schema.minimum) return `${at} must be >= ${schema.minimum}`;
+      if (schema.maximum !== undefined && value > schema.maximum) return `${at} must be <= ${schema.maximum}`;
+    }
+    if (Array.isArray(value)) {
+      if (schema.maxItems !== undefined && value.length > schema.maxItems) return `${at} has more than ${schema.maxItems} items`;
+      if (schema.items) {
+        for (let i = 0; i < value.length; i++) {
+          const err = validate(schema.items, value[i], `${at}[${i}]`);
+          if (err) return err;
+        }
+      }
+    }
+    if (typeOf(value) === "object") {
+      const props = schema.properties || {};
+      const keys = Object.keys(value);
+      if (schema.minProperties !== undefined && keys.length < schema.minProperties) return `${at} is empty`;
+      for (const key of schema.required || []) {
+        if (value[key] === undefined) return `${at}.${key} is required`;
+      }
+      for (const key of keys) {
+        if (value[key] === undefined) continue;
+        const sub = props[key] || (typeof schema.additionalProperties === "object" ? schema.additionalProperties : null);
+        if (sub) {
+          const err = validate(sub, value[key], `${at}.${key}`);
+          if (err) return err;
+        } else if (schema.additionalProperties === false) {
+          return `${at}.${key} is not allowed`;
+        }
+      }
+    }
+    return null;
+  }
+
+  function messageSchema(direction, type) {
+    const def = (direction === "client" ? CLIENT_MESSAGES : SERVER_MESSAGES)[type];
+    if (!def) return null;
+    return {
+      type: "object",
+      required: ["type"].concat(def.required || []),
+      properties: Object.assign({ type: { type: "string" } }, def.properties),
+      additionalProperties: direction === "client" ? false : undefined,
+    };
+  }
+
+  /**
+   * direction: "client" for client -> server messages, "server" for server -> client.
+   * Returns null if valid, otherwise { code, message } ready to send as an error.
+   */
+  function validateMessage(direction, msg) {
+    if (typeOf(msg) !== "object") return { code: "invalid_json", message: ERRORS.invalid_json.message };
+    const schema = messageSchema(direction, msg.type);
+    if (!schema) return { code: "unknown_type", message: `Unknown message type: ${String(msg.type)}` };
+    const err = validate(schema, msg, msg.type);
+    return err ? { code: "invalid_message", message: `Invalid ${msg.type}: ${err}` } : null;
+  }
+
+  return {
+    PROTOCOL_VERSION,
+    REACTION_EMOJIS,
+    ERRORS,
+    DEFINITIONS,
+    CLIENT_MESSAGES,
+    SERVER_MESSAGES,
+    validate,
+    validateMessage,
+  };
+});
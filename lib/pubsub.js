@@ -0,0 +1,85 @@
+/*
+  Message bus between signaling nodes, behind a small interface:
+
+  publish(channel, message)      send a string to every subscriber of `channel`, this node included
+  subscribe(channel, onMessage)  onMessage(message) for each string published on `channel`
+  close()                        stop receiving and release connections
+
+  Picked with PUBSUB:
+  - memory (default): in-process. Servers given the same hub (createMemoryHub) see each other, which is
+    how several servers in one process form a cluster without Redis; without one a server is alone.
+  - redis: Redis PUBLISH/SUBSCRIBE at REDIS_URL (default redis://127.0.0.1:6379), needs ioredis
+*/
+
+/** channel -> Set of subscribers */
+function createMemoryHub() {
+  return new Map();
+}
+
+function createMemoryPubSub({ hub = createMemoryHub() } = {}) {
+  const mine = [];
+  return {
+    publish(channel, message) {
+      // Delivered later and in order, like over the network
+      for (const onMessage of hub.get(channel) || []) setImmediate(onMessage, message);
+    },
+    subscribe(channel, onMessage) {
+      if (!hub.has(channel)) hub.set(channel, new Set());
+      hub.get(channel).add(onMessage);
+      mine.push([channel, onMessage]);
+    },
+    close() {
+      for (const [channel, onMessage] of mine.splice(0)) {
+        const subscribers = hub.get(channel);
+        subscribers.delete(onMessage);
+        if (!subscribers.size) hub.delete(channel);
+      }
+    },
+  };
+}
+
+function createRedisPubSub({ url }) {
+  let Redis;
+  try {
+    Redis = require("ioredis");
+  } catch {
+    throw new Error("PUBSUB=redis needs the ioredis package (npm install ioredis)");
+  }
+  // A connection in subscriber mode can't publish, so each node holds two
+  const pub = new Redis(url);
+  const sub = new Redis(url);
+  for (const conn of [pub, sub]) conn.on("error", (e) => console.error("redis:", e.message));
+
+  const handlers = new Map();
+  sub.on("message", (channel, message) => {
+    for (const onMessage of handlers.get(channel) || []) onMessage(message);
+  });
+
+  return {
+    publish(channel, message) {
+      pub.publish(channel, message).catch((e) => console.error("redis publish:", e.message));
+    },
+    subscribe(channel, onMessage) {
+      if (!handlers.has(channel)) {
+        handlers.set(channel, new Set());
+        sub.subscribe(channel).catch((e) => console.error("redis subscribe:", e.message));
+      }
+      handlers.get(channel).add(onMessage);
+    },
+    close() {
+      handlers.clear();
+      pub.disconnect();
+      sub.disconnect();
+    },
+  };
+}
+
+/** Builds the backend named by PUBSUB from the environment. */
+function createPubSub(env = process.env) {
+  const kind = String(env.PUBSUB || "memory").trim().toLowerCase();
+  if (kind === "memory") return createMemoryPubSub();
+  if (kind === "redis") return createRedisPubSub({ url: env.REDIS_URL || "redis://127.0.0.1:6379" });
+  throw new Error(`Unknown PUBSUB "${kind}" (expected memory or redis)`);
+}
+
+module.exports = { createPubSub, createMemoryHub, createMemoryPubSub, createRedisPubSub };
@@ -0,0 +1,1493 @@
+/*
+  UltraWatchTogether - minimal signaling + room server
+
+  Features
+  - Host creates a room and starts screen share.
+  - Viewers join via a link and receive a low-latency WebRTC stream.
+  - Text chat via the same WebSocket signaling channel.
+
+  Notes
+  - In the default "mesh" mode media never touches this server; it is sent over WebRTC between
+    peers and the host keeps one RTCPeerConnection per viewer.
+  - Rooms created in "sfu" mode publish the host's stream once to the relay in lib/sfu.js,
+    which forwards it to every viewer (needs the optional `werift` dependency).
+  - Several instances can serve the same rooms over a pub/sub bus (PUBSUB=redis), see lib/cluster.js.
+  - createServer() builds an instance without listening, so tests can run servers side by side.
+*/
+
+const express = require("express");
+const http = require("http");
+const path = require("path");
+const crypto = require("crypto");
+const { promisify } = require("util");
+const { WebSocketServer } = require("ws");
+const { v4: uuidv4 } = require("uuid");
+const { buildIceConfig } = require("./ice");
+const { createSfu, SFU_PEER_ID } = require("./sfu");
+const { createAdminRouter } = require("./admin");
+const { createMetrics } = require("./metrics");
+const { createChatStore } = require("./chat-store");
+const { createRateLimiter, createTokenBucket, limitsFromEnv } = require("./limits");
+const { PROTOCOL_VERSION, ERRORS, CLIENT_MESSAGES, validateMessage } = require("./protocol");
+const { createPubSub } = require("./pubsub");
+const { createCluster } = require("./cluster");
+
+// Message types clients may send (lib/protocol.js); anything else is counted as "other" in metrics
+const CLIENT_MESSAGE_TYPES = new Set(Object.keys(CLIENT_MESSAGES));
+// Room controls only the host may send
+const HOST_MESSAGE_TYPES = new Set([
+  "kick", "ban", "mute", "transfer_host", "admit", "waiting_room", "recording", "playback", "call_open", "allow_talk",
+]);
+
+function newRoomId() {
+  // short, shareable room id
+  return uuidv4().split("-")[0];
+}
+
+function hashToken(token) {
+  return crypto.createHash("sha256").update(String(token || "")).digest();
+}
+
+function tokenMatchesHash(hash, token) {
+  if (!hash || !token) return false;
+  return crypto.timingSafeEqual(hashToken(token), hash);
+}
+
+function hostTokenMatches(room, token) {
+  return tokenMatchesHash(room.hostTokenHash, token);
+}
+
+// scrypt is slow on purpose; the async version runs it on the libuv pool instead of the event loop
+const scrypt = promisify(crypto.scrypt);
+
+async function hashPassword(password, salt = crypto.randomBytes(16)) {
+  return { salt, hash: await scrypt(password, salt, 32) };
+}
+
+async function passwordMatches(stored, password) {
+  const { hash } = await hashPassword(String(password || ""), stored.salt);
+  return crypto.timingSafeEqual(hash, stored.hash);
+}
+
+// Wrong passwords per room and client address (on this node) before its guesses are refused:
+// a burst, then one every 10 s
+const PASSWORD_FAILURES = { rate: 0.1, burst: 10 };
+
+function normalizeName(name) {
+  return String(name || "").trim().toLowerCase();
+}
+
+// allow: array of names or a comma/newline separated string
+async function makeAccess(password, allow) {
+  const pw = String(password || "").slice(0, 200);
+  const list = Array.isArray(allow) ? allow : String(allow || "").split(/[,\n]/);
+  const names = list.map(normalizeName).filter(Boolean).slice(0, 200);
+  return {
+    password: pw ? await hashPassword(pw) : null,
+    allow: names.length ? new Set(names) : null,
+  };
+}
+
+/** Returns null if the viewer may enter, otherwise an error payload. The password itself is checkPassword's job. */
+function checkAccess(room, name, password) {
+  const { access } = room;
+  if (room.banned.names.has(normalizeName(name))) {
+    return { code: "banned", message: "You are banned from this room." };
+  }
+  if (access.allow && !access.allow.has(normalizeName(name))) {
+    return { code: "not_allowed", message: "Your name is not on this room's guest list." };
+  }
+  if (access.password && !password) {
+    return { code: "password_required", message: "This room requires a password." };
+  }
+  return null;
+}
+
+/**
+ * Resolves to null if the password is right (or none is set), otherwise an error payload. Each guess
+ * reserves a token from its address's bucket before hashing, so concurrent guesses can't overrun the
+ * limit, and the right password gets it back: only that address's own wrong guesses lock it out.
+ */
+async function checkPassword(room, password, address) {
+  const stored = room.access.password;
+  if (!stored) return null;
+  let bucket = room.passwordFailures.get(address);
+  if (!bucket) {
+    bucket = createTokenBucket(PASSWORD_FAILURES);
+    room.passwordFailures.set(address, bucket);
+  }
+  if (!bucket.take()) {
+    return { code: "rate_limited", message: "Too many wrong passwords for this room. Try again later." };
+  }
+  if (await passwordMatches(stored, password)) {
+    bucket.refund();
+    return null;
+  }
+  return { code: "bad_password", message: "Wrong room password." };
+}
+
+const STAT_NUMBERS = ["bitrateKbps", "fps", "width", "height", "rttMs", "jitterMs", "lossPct", "latencyMs"];
+const CANDIDATE_TYPES = new Set(["host", "srflx", "prflx", "relay"]);
+
+// Viewer stats are relayed to the host as-is, so keep only known, finite numbers
+function sanitizeStats(stats) {
+  if (!stats || typeof stats !== "object") return null;
+  const out = {};
+  for (const key of STAT_NUMBERS) {
+    const v = stats[key];
+    out[key] = typeof v === "number" && Number.isFinite(v) ? Math.max(0, Math.min(v, 1e7)) : null;
+  }
+  out.candidateType = CANDIDATE_TYPES.has(stats.candidateType) ? stats.candidateType : null;
+  return out;
+}
+
+/**
+ * One signaling server: HTTP routes, WebSocket rooms and their timers. Nothing listens until listen().
+ *   env     configuration, see the constants below (defaults to process.env)
+ *   pubsub  bus to other instances (lib/pubsub.js); defaults to the one named by PUBSUB
+ */
+function createServer({ env = process.env, pubsub } = {}) {
+  // Rooms created via /api/new-room that nobody joins are dropped after this long
+  const ROOM_UNCLAIMED_TTL_MS = Number(env.ROOM_UNCLAIMED_TTL_MS) || 10 * 60 * 1000;
+  // How often rooms are checked for that (and closed room ids forgotten)
+  const ROOM_SWEEP_MS = Number(env.ROOM_SWEEP_MS) || 60 * 1000;
+  // How long a room survives after the host's socket drops, waiting for the host to come back
+  const HOST_GRACE_MS = Number(env.HOST_GRACE_MS) || 30 * 1000;
+  // How long a viewer whose socket dropped keeps its place (and id) before counting as "left"
+  const VIEWER_GRACE_MS = Number(env.VIEWER_GRACE_MS) || 15 * 1000;
+  // Signs resume tokens; set it to keep sessions resumable across server restarts
+  const SESSION_SECRET = env.SESSION_SECRET || crypto.randomBytes(32).toString("hex");
+  // Chat messages replayed on join: the latest ones for a newcomer, the missed ones on a resume
+  const CHAT_REPLAY_LIMIT = Number(env.CHAT_REPLAY_LIMIT) || 50;
+  // Behind a reverse proxy every socket comes from the proxy: TRUST_PROXY=1 takes the client address
+  // from the last X-Forwarded-For hop instead (password guesses are limited per address)
+  const TRUST_PROXY = env.TRUST_PROXY === "1";
+
+  // SFU relay: public address to announce in ICE candidates and UDP port range (e.g. 40000-40100)
+  const SFU_ANNOUNCED_IP = env.SFU_ANNOUNCED_IP || "";
+  const SFU_PORT_RANGE = String(env.SFU_PORT_RANGE || "").split("-").map(Number);
+  // Frame size cap and per-type rate limits (MAX_PAYLOAD_BYTES, RATE_LIMITS), see lib/limits.js
+  const { maxPayload: MAX_PAYLOAD_BYTES, limits: RATE_LIMITS } = limitsFromEnv(env);
+  // Enables /api/admin/* and /metrics (Bearer token)
+  const ADMIN_TOKEN = env.ADMIN_TOKEN || "";
+  // This instance on the pub/sub bus (PUBSUB, REDIS_URL); nodes sharing a channel share their rooms
+  const NODE_ID = env.NODE_ID || uuidv4().split("-")[0];
+  const PUBSUB_CHANNEL = env.PUBSUB_CHANNEL || "uwt";
+
+  const metrics = createMetrics();
+  const messagesReceived = metrics.counter("uwt_messages_received_total", "WebSocket messages received from clients, by type");
+  const messagesSent = metrics.counter("uwt_messages_sent_total", "WebSocket messages sent to clients, by type");
+  const errorsSent = metrics.counter("uwt_errors_total", "Error messages sent to clients, by code");
+  const roomsCreated = metrics.counter("uwt_rooms_created_total", "Rooms created via /api/new-room");
+
+  const app = express();
+  const server = http.createServer(app);
+  // Oversized frames close the socket with code 1009 before they are parsed
+  const wss = new WebSocketServer({ server, maxPayload: MAX_PAYLOAD_BYTES });
+
+  app.use(express.static(path.join(__dirname, "..", "public")));
+  // The protocol definitions are shared with the page
+  app.get("/protocol.js", (_req, res) => res.sendFile(path.join(__dirname, "protocol.js")));
+
+  // Create a new room. The response carries a secret host token that only the creator gets;
+  // host joins must present it. POST { password?, allow?, mode?, waitingRoom? } also sets room options.
+  app.get("/api/new-room", (_req, res, next) => {
+    registerRoom({}).then((created) => res.json(created), next);
+  });
+
+  app.post("/api/new-room", express.json({ limit: "16kb" }), (req, res, next) => {
+    registerRoom(req.body || {}).then((created) => res.json(created), next);
+  });
+
+  // ICE servers for RTCPeerConnection; TURN credentials are minted per request and expire. Only
+  // participants get them (?roomId&id&token, the session from `joined`), or the TURN server is an open relay.
+  app.get("/api/ice-config", (req, res) => {
+    const room = getRoom(String(req.query.roomId || "").trim());
+    const userId = String(req.query.id || "");
+    if (!room || !room.roles.has(userId) || !resumeTokenMatches(userId, req.query.token)) {
+      return res.status(403).json({ error: "not_in_room" });
+    }
+    try {
+      res.set("Cache-Control", "no-store");
+      res.json(buildIceConfig(env, { userId }));
+    } catch (e) {
+      console.error("ice-config:", e.message);
+      res.status(500).json({ error: "ice_config_invalid" });
+    }
+  });
+
+  app.use(createAdminRouter({
+    token: ADMIN_TOKEN,
+    listRooms: () => [...rooms.values()].map(summarizeRoom),
+    describeRoom(roomId) {
+      const room = getRoom(roomId);
+      return room ? { ...summarizeRoom(room), roster: roster(room) } : null;
+    },
+    closeRoom(roomId) {
+      const room = getRoom(roomId);
+      if (!room) return false;
+      closeRoom(room, "Room closed by an administrator.");
+      return true;
+    },
+    kickClient,
+    metrics,
+  }));
+
+  // Public room info so viewers know whether to ask for a password before joining
+  app.get("/api/room/:roomId", (req, res) => {
+    const room = getRoom(String(req.params.roomId || "").trim());
+    if (!room) return res.status(404).json({ error: "room_not_found" });
+    res.json({
+      roomId: room.roomId,
+      passwordRequired: !!room.access.password,
+      allowList: !!room.access.allow,
+      hostOnline: hostOnline(room),
+      waitingRoom: room.waitingRoom,
+      mode: room.mode,
+    });
+  });
+
+  // Host-only chat export: Authorization: Bearer <hostToken>, ?format=json (default) or txt.
+  // Served from the chat store, which keeps the host token's hash, so it works after the room closed.
+  app.get("/api/room/:roomId/chat", (req, res) => {
+    const roomId = String(req.params.roomId || "").trim();
+    const hash = /^[\w-]+$/.test(roomId) && chatStore.getHostTokenHash(roomId);
+    if (!hash) return res.status(404).json({ error: "room_not_found" });
+    const m = /^Bearer (.+)$/.exec(req.get("authorization") || "");
+    if (!m || !tokenMatchesHash(Buffer.from(hash, "base64"), m[1])) return res.status(403).json({ error: "host_token_invalid" });
+
+    const messages = chatStore.all(roomId).map(({ type, roomId, ...chat }) => chat);
+    if (req.query.format === "txt") {
+      const lines = messages.map((c) => {
+        const text = c.deleted ? "(deleted)" : c.edited ? `${c.message} (edited)` : c.message;
+        const reply = c.replyTo ? ` [reply to ${c.replyTo.name}]` : "";
+        return `[${new Date(c.ts).toISOString()}] ${c.name}${reply}: ${text}`;
+      });
+      res.attachment(`chat-${roomId}.txt`).type("text/plain").send(lines.join("\n") + "\n");
+      return;
+    }
+    res.attachment(`chat-${roomId}.json`).json({ roomId, exportedAt: Date.now(), messages });
+  });
+
+  /** @type {Map<string, {
+   *   roomId: string,
+   *   hostId: string | null,
+   *   clients: Map<string, import('ws').WebSocket>,
+   *   online: Set<string>,
+   *   roles: Map<string, 'host'|'viewer'>,
+   *   names: Map<string, string>,
+   *   access: { password: { salt: Buffer, hash: Buffer } | null, allow: Set<string> | null },
+   *   passwordFailures: Map<string, { take(): boolean, available(n?: number): boolean, refund(): void }>,
+   *   hostTokenHash: Buffer | null,
+   *   mode: 'mesh'|'sfu',
+   *   hostGrace: { timer: NodeJS.Timeout, until: number, hostId: string } | null,
+   *   away: Map<string, NodeJS.Timeout>,
+   *   banned: { ids: Set<string>, names: Set<string> },
+   *   muted: { ids: Set<string>, names: Set<string> },
+   *   waitingRoom: boolean,
+   *   waiting: Set<string>,
+   *   recording: 'recording'|'paused'|null,
+   *   call: Map<string, { camera: boolean }>,
+   *   callOpen: boolean,
+   *   talkers: Set<string>,
+   *   playback: { source: 'screen' } | { source: 'file', media: object|null, paused: boolean, position: number, rate: number, at: number },
+   *   createdAt: number,
+   *   version: number,
+   *   versionNode: string
+   * }>}
+   */
+  const rooms = new Map();
+  // `clients` holds this node's sockets only; `online` is everyone connected, on any node.
+  // The rest of a room is replicated to the other nodes by roomChanged().
+  // `version` counts those changes; with the node that made it, it orders snapshots (see isNewer).
+
+  // Recently closed room ids, so a snapshot still on the bus doesn't bring a room back
+  const closedRooms = new Map();
+
+  // Chat history lives outside the room objects so it can be persisted (CHAT_STORE)
+  const chatStore = createChatStore(env);
+
+  const sfu = createSfu({
+    send(roomId, clientId, data) {
+      const room = getRoom(roomId);
+      if (room) safeSend(room.clients.get(clientId), { type: "signal", roomId, from: SFU_PEER_ID, data });
+    },
+    // The relay only needs STUN to learn its own public address
+    iceServers: buildIceConfig(env).iceServers.filter((s) => [].concat(s.urls).every((u) => /^stun:/.test(u))),
+    announcedIp: SFU_ANNOUNCED_IP || undefined,
+    portRange: SFU_PORT_RANGE.length === 2 && SFU_PORT_RANGE.every(Boolean) ? SFU_PORT_RANGE : undefined,
+  });
+
+  const cluster = createCluster({
+    pubsub: pubsub || createPubSub(env),
+    nodeId: NODE_ID,
+    channel: PUBSUB_CHANNEL,
+    handlers: {
+      room({ snapshot }) {
+        applyRoomSnapshot(snapshot);
+      },
+      room_closed({ roomId }) {
+        const room = getRoom(roomId);
+        if (!room) return;
+        for (const ws of room.clients.values()) {
+          ws.roomId = null;
+          try { ws.close(); } catch {}
+        }
+        dropRoom(roomId);
+      },
+      send({ roomId, clientId, message }) {
+        const room = getRoom(roomId);
+        if (room) safeSend(room.clients.get(clientId), message);
+      },
+      broadcast({ roomId, message, except }) {
+        const room = getRoom(roomId);
+        if (!room) return;
+        // Every node keeps its own copy of the chat, so replays and edits work wherever a client lands.
+        // Appends are idempotent by message id, so nodes sharing one store don't duplicate it.
+        if (message.type === "chat") chatStore.append(roomId, message);
+        if (message.type === "chat_update") chatStore.update(roomId, message.chat);
+        for (const [id, ws] of room.clients) if (id !== except) safeSend(ws, message);
+      },
+      disconnect({ roomId, clientId, error }) {
+        const room = getRoom(roomId);
+        if (room) closeLocalSocket(room, clientId, error);
+      },
+      sync() {
+        for (const room of rooms.values()) cluster.publishRoom(serializeRoom(room));
+      },
+    },
+  });
+
+  // Only the hash is kept; the chat store gets a copy so the chat export outlives the room
+  function newHostToken(room) {
+    const hostToken = crypto.randomBytes(24).toString("base64url");
+    room.hostTokenHash = hashToken(hostToken);
+    chatStore.setHostTokenHash(room.roomId, room.hostTokenHash.toString("base64"));
+    return hostToken;
+  }
+
+  async function registerRoom({ password, allow, mode, waitingRoom }) {
+    const access = await makeAccess(password, allow);
+    roomsCreated.inc();
+    const roomId = newRoomId();
+    const room = ensureRoom(roomId);
+    room.access = access;
+    // Fall back to mesh when the relay isn't installed; the response tells the host what it got
+    room.mode = mode === "sfu" && sfu.available ? "sfu" : "mesh";
+    room.waitingRoom = !!waitingRoom;
+    const hostToken = newHostToken(room);
+    roomChanged(room);
+    return {
+      roomId,
+      hostToken,
+      mode: room.mode,
+      passwordRequired: !!room.access.password,
+      allowList: !!room.access.allow,
+      waitingRoom: room.waitingRoom,
+    };
+  }
+
+  function safeSend(ws, obj) {
+    if (!ws || ws.readyState !== ws.OPEN) return;
+    ws.send(JSON.stringify(obj));
+    messagesSent.inc({ type: obj.type });
+    if (obj.type === "error") errorsSent.inc({ code: obj.code || "other" });
+  }
+
+  // `code` is one of ERRORS in lib/protocol.js; `message` overrides its default text
+  function sendError(ws, code, message) {
+    safeSend(ws, { type: "error", code, message: message || ERRORS[code].message });
+  }
+
+  // Everyone in the room (but `exceptId`), on this node and the others
+  function broadcast(room, obj, exceptId) {
+    for (const [id, ws] of room.clients) if (id !== exceptId) safeSend(ws, obj);
+    cluster.broadcast(room.roomId, obj, exceptId);
+  }
+
+  // One participant, wherever its socket is
+  function sendTo(room, clientId, obj) {
+    const ws = room.clients.get(clientId);
+    if (ws) safeSend(ws, obj);
+    else if (room.online.has(clientId)) cluster.send(room.roomId, clientId, obj);
+  }
+
+  // Hang up a participant on whichever node holds its socket. With an `error` it is told why first,
+  // without one (a stale socket replaced by a resume) the socket is just dropped.
+  function disconnectClient(room, clientId, error) {
+    if (!closeLocalSocket(room, clientId, error)) cluster.disconnect(room.roomId, clientId, error);
+    room.online.delete(clientId);
+  }
+
+  function closeLocalSocket(room, clientId, error) {
+    const ws = room.clients.get(clientId);
+    if (!ws) return false;
+    room.clients.delete(clientId);
+    room.online.delete(clientId);
+    ws.roomId = null;
+    if (error) {
+      sendError(ws, error.code, error.message);
+      try { ws.close(); } catch {}
+    } else {
+      try { ws.terminate(); } catch {}
+    }
+    return true;
+  }
+
+  function getRoom(roomId) {
+    return rooms.get(roomId) || null;
+  }
+
+  function hostOnline(room) {
+    return !!room.hostId && room.online.has(room.hostId);
+  }
+
+  function ensureRoom(roomId) {
+    let room = rooms.get(roomId);
+    if (!room) {
+      room = {
+        roomId,
+        hostId: null,
+        clients: new Map(),
+        online: new Set(),
+        roles: new Map(),
+        names: new Map(),
+        access: { password: null, allow: null },
+        // Wrong passwords on this node; not shared with the cluster
+        passwordFailures: new Map(),
+        hostTokenHash: null,
+        mode: "mesh",
+        hostGrace: null,
+        away: new Map(),
+        banned: { ids: new Set(), names: new Set() },
+        muted: { ids: new Set(), names: new Set() },
+        // Viewers wait here before the host is online, or until it admits them when `waitingRoom` is on
+        waitingRoom: false,
+        waiting: new Set(),
+        // Announced by the host's page, which does the recording itself
+        recording: null,
+        // Who sends microphone/camera on the call channel; while the call isn't open, only the host and `talkers` may
+        call: new Map(),
+        callOpen: true,
+        talkers: new Set(),
+        // Screen share, or everyone playing their own copy of the same media in sync with the host
+        playback: { source: "screen" },
+        createdAt: Date.now(),
+        version: 0,
+        versionNode: "",
+      };
+      rooms.set(roomId, room);
+    }
+    return room;
+  }
+
+  function deleteRoom(roomId) {
+    dropRoom(roomId);
+    cluster.closeRoom(roomId);
+  }
+
+  // This node's part of deleteRoom, also run when another node closed the room
+  function dropRoom(roomId) {
+    const room = rooms.get(roomId);
+    if (room && room.hostGrace) clearTimeout(room.hostGrace.timer);
+    if (room) for (const timer of room.away.values()) clearTimeout(timer);
+    sfu.closeRoom(roomId);
+    chatStore.closeRoom(roomId);
+    rooms.delete(roomId);
+    closedRooms.set(roomId, Date.now());
+  }
+
+  // Room state as plain JSON for the other nodes; sockets and timers stay local
+  function serializeRoom(room) {
+    const { password, allow } = room.access;
+    return {
+      roomId: room.roomId,
+      hostId: room.hostId,
+      online: [...room.online],
+      roles: [...room.roles],
+      names: [...room.names],
+      access: {
+        password: password && { salt: password.salt.toString("base64"), hash: password.hash.toString("base64") },
+        allow: allow && [...allow],
+      },
+      hostTokenHash: room.hostTokenHash && room.hostTokenHash.toString("base64"),
+      mode: room.mode,
+      hostGraceUntil: room.hostGrace ? room.hostGrace.until : 0,
+      hostGraceId: room.hostGrace ? room.hostGrace.hostId : null,
+      away: [...room.away.keys()],
+      banned: { ids: [...room.banned.ids], names: [...room.banned.names] },
+      muted: { ids: [...room.muted.ids], names: [...room.muted.names] },
+      waitingRoom: room.waitingRoom,
+      waiting: [...room.waiting],
+      recording: room.recording,
+      call: [...room.call],
+      callOpen: room.callOpen,
+      talkers: [...room.talkers],
+      playback: room.playback,
+      createdAt: room.createdAt,
+      version: room.version,
+      versionNode: room.versionNode,
+    };
+  }
+
+  // Two nodes that change a room at once publish the same version; the node id breaks the tie
+  function isNewer(snapshot, room) {
+    if (snapshot.version !== room.version) return snapshot.version > room.version;
+    return snapshot.versionNode > room.versionNode;
+  }
+
+  function applyRoomSnapshot(snapshot) {
+    if (closedRooms.has(snapshot.roomId)) return;
+    // A snapshot older than what we have (e.g. still listing someone who has left since) is ignored
+    const known = getRoom(snapshot.roomId);
+    if (known && !isNewer(snapshot, known)) return;
+    const room = ensureRoom(snapshot.roomId);
+    const { password, allow } = snapshot.access;
+    // Snapshots replace each other whole, so one that predates a join of our own (another node let
+    // someone in at the same time) would drop it: keep our clients it hasn't heard of
+    const roles = new Map(snapshot.roles);
+    const names = new Map(snapshot.names);
+    const waiting = new Set(snapshot.waiting);
+    let hostId = snapshot.hostId;
+    const missed = [];
+    for (const id of room.clients.keys()) {
+      const role = room.roles.get(id);
+      if (!role || roles.has(id)) continue;
+      // A host of ours that the room has since replaced stays gone
+      if (role === "host") {
+        if (hostId || room.hostId !== id) continue;
+        hostId = id;
+      }
+      roles.set(id, role);
+      names.set(id, room.names.get(id));
+      if (room.waiting.has(id)) waiting.add(id);
+      missed.push(id);
+    }
+    room.hostId = hostId;
+    // Our own sockets are online whatever the snapshot says (it may predate them)
+    room.online = new Set([...snapshot.online, ...room.clients.keys()]);
+    room.roles = roles;
+    room.names = names;
+    room.access = {
+      password: password && { salt: Buffer.from(password.salt, "base64"), hash: Buffer.from(password.hash, "base64") },
+      allow: allow && new Set(allow),
+    };
+    const hostTokenHash = snapshot.hostTokenHash && Buffer.from(snapshot.hostTokenHash, "base64");
+    if (hostTokenHash && !(room.hostTokenHash && room.hostTokenHash.equals(hostTokenHash))) {
+      chatStore.setHostTokenHash(room.roomId, snapshot.hostTokenHash);
+    }
+    room.hostTokenHash = hostTokenHash;
+    room.mode = snapshot.mode;
+    room.banned = { ids: new Set(snapshot.banned.ids), names: new Set(snapshot.banned.names) };
+    room.muted = { ids: new Set(snapshot.muted.ids), names: new Set(snapshot.muted.names) };
+    room.waitingRoom = snapshot.waitingRoom;
+    room.waiting = waiting;
+    room.recording = snapshot.recording || null;
+    room.call = new Map(snapshot.call || []);
+    room.callOpen = snapshot.callOpen !== false;
+    room.talkers = new Set(snapshot.talkers || []);
+    room.playback = snapshot.playback || { source: "screen" };
+    room.createdAt = snapshot.createdAt;
+    room.version = snapshot.version;
+    room.versionNode = snapshot.versionNode;
+
+    // Grace timers run on the node that lost the socket; drop ours once another node has moved on
+    if (!snapshot.hostGraceUntil) endHostGrace(room);
+    else if (!room.hostGrace) room.hostGrace = { timer: null, until: snapshot.hostGraceUntil, hostId: snapshot.hostGraceId };
+    const away = new Set(snapshot.away);
+    for (const [id, timer] of room.away) {
+      if (away.has(id)) continue;
+      clearTimeout(timer);
+      room.away.delete(id);
+    }
+    for (const id of away) if (!room.away.has(id)) room.away.set(id, null);
+
+    // Put them back on the other nodes too
+    for (const id of missed) rosterChanged(room, { kind: "join", id, name: room.names.get(id), role: room.roles.get(id) });
+  }
+
+  // Chat to replay in `joined`: what a resuming client missed, or the latest messages for a newcomer
+  function chatHistory(room, resume) {
+    if (resume) return chatStore.recent(room.roomId, { since: Number(resume.since) || 0, limit: CHAT_REPLAY_LIMIT });
+    return chatStore.recent(room.roomId, { limit: CHAT_REPLAY_LIMIT });
+  }
+
+  function closeRoom(room, message) {
+    broadcast(room, { type: "host_left", roomId: room.roomId, message });
+    // Other nodes close their sockets when deleteRoom tells them the room is gone
+    for (const otherWs of room.clients.values()) {
+      otherWs.roomId = null;
+      try { otherWs.close(); } catch {}
+    }
+    deleteRoom(room.roomId);
+  }
+
+  function summarizeRoom(room) {
+    let viewers = 0;
+    for (const role of room.roles.values()) if (role === "viewer") viewers++;
+    return {
+      roomId: room.roomId,
+      mode: room.mode,
+      createdAt: room.createdAt,
+      ageSeconds: Math.round((Date.now() - room.createdAt) / 1000),
+      hostOnline: hostOnline(room),
+      hostReconnecting: !!room.hostGrace,
+      viewers,
+      viewersAway: room.away.size,
+      viewersWaiting: room.waiting.size,
+      waitingRoom: room.waitingRoom,
+      recording: !!room.recording,
+      source: room.playback.source,
+      inCall: room.call.size,
+      connected: room.online.size,
+      passwordProtected: !!room.access.password,
+      allowList: !!room.access.allow,
+    };
+  }
+
+  // Admin kick: the host's room closes; a viewer is disconnected and does not get its place back
+  function kickClient(roomId, clientId) {
+    const room = getRoom(roomId);
+    if (!room) return false;
+    if (clientId === room.hostId) {
+      closeRoom(room, "Room closed by an administrator.");
+      return true;
+    }
+    if (!room.roles.has(clientId)) return false;
+    expelViewer(room, clientId, { code: "kicked", message: "You were removed from the room." });
+    return true;
+  }
+
+  // Kick/ban: tell the viewer why, drop its socket (connected or away) and give up its place
+  function expelViewer(room, clientId, error) {
+    const name = room.names.get(clientId) || "Viewer";
+    const awayTimer = room.away.get(clientId);
+    if (awayTimer) {
+      clearTimeout(awayTimer);
+      room.away.delete(clientId);
+    }
+    if (room.online.has(clientId)) disconnectClient(room, clientId, error);
+    room.muted.ids.delete(clientId);
+    room.call.delete(clientId);
+    sfu.removePeer(room.roomId, clientId);
+    removeViewer(room, clientId, name);
+  }
+
+  // Hand the room to a connected viewer: it gets a fresh host token, the old token stops working
+  // and the previous host stays in the room as a viewer
+  function transferHost(room, toId) {
+    const fromId = room.hostId;
+    const hostToken = newHostToken(room);
+    room.hostId = toId;
+    room.roles.set(toId, "host");
+    room.roles.set(fromId, "viewer");
+    room.muted.ids.delete(toId);
+    room.muted.names.delete(normalizeName(room.names.get(toId)));
+    // The previous host's page stops its recording when it hands over
+    setRecording(room, null);
+
+    if (room.mode === "sfu") {
+      // The old publication ends; the previous host subscribes like any viewer
+      sfu.removePeer(room.roomId, fromId);
+      sfu.removePeer(room.roomId, toId);
+      sfu.addViewer(room.roomId, fromId).catch((e) => console.error("sfu subscribe:", e));
+    }
+
+    const name = room.names.get(toId) || "Host";
+    sendTo(room, toId, { type: "host_granted", roomId: room.roomId, hostToken, roster: roster(room) });
+    broadcast(room, { type: "host_changed", roomId: room.roomId, hostId: toId, previousHostId: fromId, name });
+    broadcast(room, { type: "system", message: `${name} is now hosting.` });
+    rosterChanged(room, { kind: "role", id: toId, name, role: "host", previousHostId: fromId });
+  }
+
+  // Let a viewer out of the waiting room: it hears host_ready, the host (mesh) or relay (SFU) offers it the stream.
+  // A viewer that is away is admitted too and gets its offer when it resumes.
+  function admitViewer(room, viewerId) {
+    room.waiting.delete(viewerId);
+    const name = room.names.get(viewerId) || "Viewer";
+    const connected = room.online.has(viewerId);
+    if (connected && hostOnline(room)) {
+      sendTo(room, viewerId, { type: "host_ready", hostId: room.hostId });
+      sendTo(room, room.hostId, { type: "viewer_joined", roomId: room.roomId, viewerId, viewerName: name, resumed: false });
+    }
+    if (connected && room.mode === "sfu") sfu.addViewer(room.roomId, viewerId).catch((e) => console.error("sfu subscribe:", e));
+    broadcast(room, { type: "system", message: `${name} was let in.` });
+    rosterChanged(room, { kind: "admit", id: viewerId, name, role: "viewer" });
+  }
+
+  // Tell the room the host's recording changed; the state goes to other nodes with the next roomChanged()
+  function setRecording(room, state) {
+    if (room.recording === state) return;
+    const message = !state
+      ? "The host stopped recording."
+      : state === "paused"
+        ? "The host paused the recording."
+        : room.recording
+          ? "The host resumed recording."
+          : "The host is recording this session (video and chat).";
+    room.recording = state;
+    broadcast(room, { type: "recording", roomId: room.roomId, state: state || "stopped" });
+    broadcast(room, { type: "system", message });
+  }
+
+  // Host socket dropped: keep the room around for HOST_GRACE_MS so the host can rejoin
+  function startHostGrace(room) {
+    // Remembered so the host resuming its session counts as back, not as a fresh page
+    const hostId = room.hostId;
+    room.hostId = null;
+    const timer = setTimeout(() => {
+      room.hostGrace = null;
+      if (rooms.get(room.roomId) === room) closeRoom(room, "Host did not come back. Room closed.");
+    }, HOST_GRACE_MS);
+    room.hostGrace = { timer, until: Date.now() + HOST_GRACE_MS, hostId };
+    broadcast(room, {
+      type: "host_reconnecting",
+      roomId: room.roomId,
+      graceMs: HOST_GRACE_MS,
+      message: "Host reconnecting…",
+    });
+    rosterChanged(room, { kind: "away", role: "host" });
+  }
+
+  function endHostGrace(room) {
+    if (!room.hostGrace) return;
+    clearTimeout(room.hostGrace.timer);
+    room.hostGrace = null;
+  }
+
+  // Resume tokens let a reconnecting client take back its previous id
+  function resumeToken(clientId) {
+    return crypto.createHmac("sha256", SESSION_SECRET).update(clientId).digest("base64url");
+  }
+
+  function resumeTokenMatches(clientId, token) {
+    const a = Buffer.from(resumeToken(clientId));
+    const b = Buffer.from(String(token || ""));
+    return a.length === b.length && crypto.timingSafeEqual(a, b);
+  }
+
+  // Viewer lost its socket: keep its place for VIEWER_GRACE_MS so it can resume
+  function markAway(room, clientId, name) {
+    const timer = setTimeout(() => {
+      room.away.delete(clientId);
+      removeViewer(room, clientId, name);
+    }, VIEWER_GRACE_MS);
+    room.away.set(clientId, timer);
+    rosterChanged(room, { kind: "away", id: clientId, name, role: "viewer" });
+  }
+
+  function removeViewer(room, clientId, name) {
+    room.roles.delete(clientId);
+    room.names.delete(clientId);
+    room.waiting.delete(clientId);
+    room.talkers.delete(clientId);
+
+    if (hostOnline(room)) sendTo(room, room.hostId, { type: "viewer_left", roomId: room.roomId, viewerId: clientId });
+    broadcast(room, { type: "system", message: `${name} left.` });
+    rosterChanged(room, { kind: "leave", id: clientId, name, role: "viewer" });
+
+    // An empty room stays: before the host joins, the last early viewer leaving mustn't lose the host its
+    // room (the sweep drops unclaimed rooms); after that, the host leaving is what closes it
+  }
+
+  function roster(room) {
+    const viewers = [];
+    for (const [id, role] of room.roles.entries()) {
+      if (role !== "viewer") continue;
+      const entry = { id, name: room.names.get(id) || "Viewer" };
+      if (room.away.has(id)) entry.away = true;
+      if (room.muted.ids.has(id)) entry.muted = true;
+      if (room.waiting.has(id)) entry.waiting = true;
+      if (!room.callOpen && room.talkers.has(id)) entry.canTalk = true;
+      viewers.push(callState(room, entry));
+    }
+    const host = room.hostId ? callState(room, { id: room.hostId, name: room.names.get(room.hostId) || "Host" }) : null;
+    return { host, hostReconnecting: !!room.hostGrace, waitingRoom: room.waitingRoom, callOpen: room.callOpen, viewers };
+  }
+
+  function callState(room, entry) {
+    const call = room.call.get(entry.id);
+    if (call) entry.inCall = true;
+    if (call && call.camera) entry.camera = true;
+    return entry;
+  }
+
+  function canTalk(room, clientId) {
+    return room.hostId === clientId || room.callOpen || room.talkers.has(clientId);
+  }
+
+  // Pushed to everyone after each change: `event` says what happened, `roster` is the new state
+  // kind: join | back | away | leave | rename | role | mute | admit | waiting_room | call | call_open | allow_talk
+  function rosterChanged(room, event) {
+    roomChanged(room);
+    broadcast(room, { type: "roster_update", roomId: room.roomId, event, roster: roster(room) });
+  }
+
+  // State changed: replace the other nodes' replica (rosterChanged does this for every roster change)
+  function roomChanged(room) {
+    room.version += 1;
+    room.versionNode = NODE_ID;
+    cluster.publishRoom(serializeRoom(room));
+  }
+
+  // Keepalive (optional but helps with some proxies)
+  const keepaliveTimer = setInterval(() => {
+    for (const ws of wss.clients) {
+      if (ws.isAlive === false) {
+        try { ws.terminate(); } catch {}
+        continue;
+      }
+      ws.isAlive = false;
+      try { ws.ping(); } catch {}
+    }
+  }, 30000);
+
+  // Drop rooms that were created (or probed by an early viewer) but never occupied
+  const sweepTimer = setInterval(() => {
+    const now = Date.now();
+    for (const room of rooms.values()) {
+      // The grace timer runs on the node that lost the host. A replica closes the room itself a sweep
+      // after the grace ran out, in case that node is gone.
+      if (room.hostGrace && !room.hostGrace.timer && now - room.hostGrace.until > ROOM_SWEEP_MS) {
+        room.hostGrace = null;
+        closeRoom(room, "Host did not come back. Room closed.");
+        continue;
+      }
+      if (room.hostGrace) continue;
+      if (room.online.size === 0 && now - room.createdAt > ROOM_UNCLAIMED_TTL_MS) deleteRoom(room.roomId);
+    }
+    // Addresses whose wrong guesses have all been forgiven don't need a bucket any more
+    for (const room of rooms.values()) {
+      for (const [address, bucket] of room.passwordFailures) {
+        if (bucket.available(PASSWORD_FAILURES.burst)) room.passwordFailures.delete(address);
+      }
+    }
+    for (const [roomId, closedAt] of closedRooms) if (now - closedAt > 60000) closedRooms.delete(roomId);
+  }, ROOM_SWEEP_MS);
+
+  function clientAddress(req) {
+    const hops = TRUST_PROXY ? String(req.headers["x-forwarded-for"] || "").split(",").map((s) => s.trim()).filter(Boolean) : [];
+    return hops.length ? hops[hops.length - 1] : req.socket.remoteAddress || "";
+  }
+
+  wss.on("connection", (ws, req) => {
+    ws.isAlive = true;
+    const address = clientAddress(req);
+    ws.on("pong", () => { ws.isAlive = true; });
+
+    // May be swapped for a previous id when the client resumes a session in `join`
+    let clientId = uuidv4();
+    ws.clientId = clientId;
+    ws.roomId = null;
+
+    safeSend(ws, { type: "hello", id: clientId, resumeToken: resumeToken(clientId), protocol: PROTOCOL_VERSION });
+
+    // Muted viewers may still watch and delete their messages, but not post, edit or react
+    function isMuted(room) {
+      if (!room.muted.ids.has(clientId)) return false;
+      sendError(ws, "muted");
+      return true;
+    }
+
+    // The rest of a join, once the room let this client in
+    function enterRoom(room, msg, role, name) {
+      const roomId = room.roomId;
+
+      // Resuming a previous session: take back the old id and retire any stale socket still holding it
+      let resumed = false;
+      const resume = msg.resume && typeof msg.resume.id === "string" && resumeTokenMatches(msg.resume.id, msg.resume.token)
+        ? msg.resume
+        : null;
+      if (resume && role === "viewer" && room.banned.ids.has(resume.id)) {
+        return sendError(ws, "banned");
+      }
+      if (resume) {
+        const wasOnline = room.online.has(resume.id);
+        if (wasOnline && room.clients.get(resume.id) !== ws) disconnectClient(room, resume.id, null);
+        const awayTimer = room.away.get(resume.id);
+        if (awayTimer) {
+          clearTimeout(awayTimer);
+          room.away.delete(resume.id);
+        }
+        resumed = room.roles.has(resume.id) || room.hostId === resume.id || wasOnline
+          || (role === "host" && !!room.hostGrace && room.hostGrace.hostId === resume.id);
+        clientId = resume.id;
+        ws.clientId = clientId;
+      }
+
+      // Join room
+      room.clients.set(clientId, ws);
+      room.online.add(clientId);
+      room.roles.set(clientId, role);
+      room.names.set(clientId, name);
+      if (role === "viewer" && room.muted.names.has(normalizeName(name))) room.muted.ids.add(clientId);
+
+      ws.roomId = roomId;
+
+      if (role === "host") {
+        // The real host reclaiming the room (another tab/device): detach the old host socket
+        const oldHostId = room.hostId;
+        if (oldHostId && oldHostId !== clientId && room.online.has(oldHostId)) {
+          room.roles.delete(oldHostId);
+          room.names.delete(oldHostId);
+          disconnectClient(room, oldHostId, { code: "host_replaced" });
+        }
+        room.hostId = clientId;
+        endHostGrace(room);
+        // A fresh page (not a resumed session) isn't recording whatever the last one did
+        if (!resumed) setRecording(room, null);
+
+        // Whoever waited for the host is let in, unless the host admits viewers itself.
+        // The host connects to them from the roster in `joined`.
+        const admitted = room.waitingRoom ? [] : [...room.waiting];
+        for (const id of admitted) {
+          room.waiting.delete(id);
+          if (room.mode === "sfu" && room.online.has(id)) sfu.addViewer(roomId, id).catch((e) => console.error("sfu subscribe:", e));
+        }
+
+        safeSend(ws, {
+          type: "joined",
+          roomId,
+          id: clientId,
+          role,
+          mode: room.mode,
+          resumeToken: resumeToken(clientId),
+          resumed,
+          recording: room.recording || undefined,
+          playback: room.playback,
+          roster: roster(room),
+          chatHistory: chatHistory(room, resume),
+        });
+        broadcast(room, { type: "system", message: `${name} is hosting room ${roomId}` });
+        rosterChanged(room, { kind: resumed ? "back" : "join", id: clientId, name, role });
+
+        // Let admitted viewers know host is ready
+        for (const [id, r] of room.roles.entries()) {
+          if (r === "viewer" && id !== clientId && !room.waiting.has(id)) {
+            sendTo(room, id, { type: "host_ready", hostId: clientId });
+          }
+        }
+
+      } else {
+        // viewer: newcomers wait in the lobby until the host is online (and admits them, with waitingRoom on).
+        // A viewer resuming after it was let in keeps its place, even while the host is reconnecting.
+        const waiting = room.waiting.has(clientId) || (!resumed && (room.waitingRoom || !hostOnline(room)));
+        if (waiting) room.waiting.add(clientId);
+
+        safeSend(ws, {
+          type: "joined",
+          roomId,
+          id: clientId,
+          role,
+          mode: room.mode,
+          resumeToken: resumeToken(clientId),
+          resumed,
+          hostId: room.hostId || undefined,
+          waiting,
+          recording: room.recording || undefined,
+          playback: room.playback,
+          roster: roster(room),
+          chatHistory: chatHistory(room, resume),
+        });
+
+        if (waiting) {
+          const reason = hostOnline(room) ? "is waiting to be let in" : "is waiting for the host";
+          broadcast(room, { type: "system", message: resumed ? `${name} reconnected.` : `${name} ${reason}.` });
+          rosterChanged(room, { kind: resumed ? "back" : "join", id: clientId, name, role });
+          return;
+        }
+
+        // Notify host that a viewer joined (host will create an offer specifically for this viewer).
+        // A resumed viewer keeps its id, so the host just rebuilds that one connection.
+        // Without a host online the viewer gets host_ready once it is back.
+        if (hostOnline(room)) {
+          sendTo(room, room.hostId, { type: "viewer_joined", roomId, viewerId: clientId, viewerName: name, resumed });
+        }
+
+        // SFU rooms: the relay offers the host's publication instead of the host
+        if (room.mode === "sfu") sfu.addViewer(roomId, clientId).catch((e) => console.error("sfu subscribe:", e));
+
+        broadcast(room, { type: "system", message: resumed ? `${name} reconnected.` : `${name} joined.` });
+        rosterChanged(room, { kind: resumed ? "back" : "join", id: clientId, name, role });
+      }
+    }
+
+    const limiter = createRateLimiter({ limits: RATE_LIMITS });
+
+    // Out of strikes: explain, then hang up. The client stops reconnecting on `flooding`.
+    function disconnectFlooder() {
+      sendError(ws, "flooding");
+      ws.close(1008, "flooding");
+    }
+
+    // Frame errors (e.g. over maxPayload) end up here; ws closes the socket itself
+    ws.on("error", (err) => console.warn("ws error:", err.message));
+
+    ws.on("message", (raw) => {
+      if (ws.readyState !== ws.OPEN) return; // already hanging up on a flooder
+      let msg;
+      try {
+        msg = JSON.parse(raw.toString("utf8"));
+      } catch {}
+      if (!msg || typeof msg !== "object") {
+        if (limiter.strike() === "flood") return disconnectFlooder();
+        return sendError(ws, "invalid_json");
+      }
+
+      const type = msg.type;
+      const knownType = CLIENT_MESSAGE_TYPES.has(type) ? type : "other";
+      messagesReceived.inc({ type: knownType });
+
+      const verdict = limiter.check(knownType);
+      if (verdict === "flood") return disconnectFlooder();
+      if (verdict === "limited") {
+        return sendError(ws, "rate_limited", `Too many "${knownType}" messages, slow down.`);
+      }
+
+      // Every message must match its schema in lib/protocol.js; a bad one counts as a strike
+      const invalid = validateMessage("client", msg);
+      if (invalid) {
+        if (limiter.strike() === "flood") return disconnectFlooder();
+        return sendError(ws, invalid.code, invalid.message);
+      }
+
+      // Clock sync for synced playback; works before joining
+      if (type === "time_sync") {
+        safeSend(ws, { type: "time_sync", t0: msg.t0, serverTime: Date.now() });
+        return;
+      }
+
+      if (type === "join") {
+        const roomId = String(msg.roomId || "").trim();
+        const role = msg.role === "host" ? "host" : "viewer";
+        const name = String(msg.name || "").trim().slice(0, 40) || (role === "host" ? "Host" : "Viewer");
+
+        if (msg.protocol !== PROTOCOL_VERSION) {
+          return sendError(ws, "protocol_mismatch", `Server speaks protocol ${PROTOCOL_VERSION}, client sent ${msg.protocol}. Reload the page.`);
+        }
+        if (!roomId) return sendError(ws, "invalid_message", "Missing roomId");
+
+        const room = getRoom(roomId);
+        if (!room) return sendError(ws, "room_not_found");
+
+        if (role === "host") {
+          if (!hostTokenMatches(room, msg.hostToken)) return sendError(ws, "host_token_invalid");
+        } else {
+          const denied = checkAccess(room, name, msg.password);
+          if (denied) return sendError(ws, denied.code, denied.message);
+        }
+
+        if (role === "viewer" && room.access.password) {
+          checkPassword(room, msg.password, address)
+            .then((denied) => {
+              if (denied) return sendError(ws, denied.code, denied.message);
+              // The socket or the room may be gone by now
+              if (ws.readyState === ws.OPEN && getRoom(roomId) === room) enterRoom(room, msg, role, name);
+            })
+            .catch((e) => console.error("password check:", e));
+          return;
+        }
+        enterRoom(room, msg, role, name);
+        return;
+      }
+
+      if (type === "signal") {
+        const roomId = ws.roomId;
+        const room = roomId ? getRoom(roomId) : null;
+        if (!room) return sendError(ws, "not_in_room");
+
+        const to = String(msg.to || "").trim();
+        const data = msg.data;
+
+        // No media for the waiting room
+        if (room.waiting.has(clientId) || room.waiting.has(to)) return sendError(ws, "waiting_room");
+
+        // Call connections run between everyone and each participant in the call
+        const call = msg.channel === "call";
+        if (call && !room.call.has(clientId) && !room.call.has(to)) {
+          return sendError(ws, "invalid_target", "Neither of you is in the call.");
+        }
+
+        if (!call && to === SFU_PEER_ID && room.mode === "sfu") {
+          sfu.handleSignal(roomId, clientId, room.hostId === clientId, data).catch((e) => {
+            sendError(ws, "sfu_error", `SFU: ${e.message}`);
+          });
+          return;
+        }
+
+        if (!to || !room.online.has(to)) {
+          return sendError(ws, "invalid_target", "No such participant in this room.");
+        }
+        // The stream flows between the host and each viewer: a viewer can't offer another one video
+        if (!call && room.hostId !== clientId && room.hostId !== to) {
+          return sendError(ws, "invalid_target", "Stream signals go between the host and viewers.");
+        }
+
+        // Relay to target
+        const relayed = { type: "signal", roomId, from: clientId, data };
+        if (call) relayed.channel = "call";
+        sendTo(room, to, relayed);
+
+        return;
+      }
+
+      if (type === "chat") {
+        const roomId = ws.roomId;
+        const room = roomId ? getRoom(roomId) : null;
+        if (!room) return sendError(ws, "not_in_room");
+
+        if (isMuted(room)) return;
+
+        const message = String(msg.message || "").slice(0, 2000);
+        const senderName = room.names.get(clientId) || "User";
+        const chat = { type: "chat", roomId, id: uuidv4(), from: clientId, name: senderName, message, ts: Date.now() };
+        if (msg.replyTo) {
+          // Replies carry a short copy of the parent so clients can show it without looking it up
+          const parent = chatStore.get(roomId, String(msg.replyTo));
+          if (!parent || parent.deleted) {
+            return sendError(ws, "message_not_found", "The message you replied to is gone.");
+          }
+          chat.replyTo = { id: parent.id, name: parent.name, message: parent.message.slice(0, 100) };
+        }
+        chatStore.append(roomId, chat);
+        broadcast(room, chat);
+        return;
+      }
+
+      if (type === "chat_edit" || type === "chat_delete" || type === "react") {
+        const room = ws.roomId ? getRoom(ws.roomId) : null;
+        if (!room) return sendError(ws, "not_in_room");
+
+        const chat = chatStore.get(room.roomId, String(msg.messageId || ""));
+        if (!chat || chat.deleted) {
+          return sendError(ws, "message_not_found");
+        }
+
+        if (type === "react") {
+          if (isMuted(room)) return;
+          const emoji = msg.emoji;
+          // Toggles: reacting twice with the same emoji takes it back
+          const reactions = chat.reactions || {};
+          const who = new Set(reactions[emoji] || []);
+          if (who.has(clientId)) who.delete(clientId);
+          else who.add(clientId);
+          if (who.size) reactions[emoji] = [...who];
+          else delete reactions[emoji];
+          chat.reactions = reactions;
+        } else {
+          // Your own messages only; the host may also delete anyone's
+          const allowed = chat.from === clientId || (type === "chat_delete" && room.hostId === clientId);
+          if (!allowed) return sendError(ws, "not_your_message");
+
+          if (type === "chat_edit") {
+            if (isMuted(room)) return;
+            const message = String(msg.message || "").slice(0, 2000);
+            if (!message.trim()) return sendError(ws, "invalid_message", "Delete the message instead of emptying it.");
+            chat.message = message;
+            chat.edited = Date.now();
+          } else {
+            chat.message = "";
+            chat.deleted = true;
+            delete chat.reactions;
+          }
+        }
+
+        chatStore.update(room.roomId, chat);
+        broadcast(room, { type: "chat_update", roomId: room.roomId, chat });
+        return;
+      }
+
+      if (type === "reaction") {
+        // Floating reaction over the video: relayed, not stored
+        const room = ws.roomId ? getRoom(ws.roomId) : null;
+        if (!room) return sendError(ws, "not_in_room");
+        if (isMuted(room)) return;
+        broadcast(room, { type: "reaction", roomId: room.roomId, from: clientId, name: room.names.get(clientId) || "User", emoji: msg.emoji });
+        return;
+      }
+
+      if (type === "typing") {
+        const room = ws.roomId ? getRoom(ws.roomId) : null;
+        if (!room || room.muted.ids.has(clientId)) return;
+        const update = { type: "typing", roomId: room.roomId, from: clientId, name: room.names.get(clientId) || "User", typing: msg.typing !== false };
+        broadcast(room, update, clientId);
+        return;
+      }
+
+      if (type === "stats") {
+        // Viewer -> host: receive-side numbers so the host sees who is struggling
+        const room = ws.roomId ? getRoom(ws.roomId) : null;
+        if (!room) return sendError(ws, "not_in_room");
+        if (room.roles.get(clientId) !== "viewer") return sendError(ws, "not_viewer");
+        if (room.waiting.has(clientId)) return;
+
+        const stats = sanitizeStats(msg.stats);
+        if (!stats) return sendError(ws, "invalid_message", "Invalid stats");
+        if (hostOnline(room)) sendTo(room, room.hostId, { type: "viewer_stats", roomId: room.roomId, viewerId: clientId, stats });
+        return;
+      }
+
+      if (HOST_MESSAGE_TYPES.has(type)) {
+        const room = ws.roomId ? getRoom(ws.roomId) : null;
+        if (!room || room.hostId !== clientId) {
+          return sendError(ws, "not_host");
+        }
+
+        if (type === "waiting_room") {
+          room.waitingRoom = msg.enabled;
+          // Turned off: nobody needs to be let in one by one any more
+          if (!room.waitingRoom) for (const id of [...room.waiting]) admitViewer(room, id);
+          broadcast(room, { type: "system", message: `The waiting room is ${room.waitingRoom ? "on" : "off"}.` });
+          rosterChanged(room, { kind: "waiting_room", enabled: room.waitingRoom });
+          return;
+        }
+
+        if (type === "call_open") {
+          room.callOpen = msg.enabled;
+          // Restricted: whoever isn't allowed stops talking now
+          if (!room.callOpen) for (const id of [...room.call.keys()]) if (!canTalk(room, id)) room.call.delete(id);
+          broadcast(room, { type: "system", message: room.callOpen ? "Anyone may join the call." : "Only people the host allows may talk." });
+          rosterChanged(room, { kind: "call_open", enabled: room.callOpen });
+          return;
+        }
+
+        if (type === "playback") {
+          const media = msg.source === "file" ? msg.media || null : null;
+          if (media && media.url && !/^https?:\/\//i.test(media.url)) {
+            return sendError(ws, "invalid_message", "Media URLs must start with http:// or https://.");
+          }
+          const switched = msg.source !== room.playback.source;
+          room.playback = msg.source === "file"
+            ? { source: "file", media, paused: msg.paused !== false, position: msg.position || 0, rate: msg.rate || 1, at: Date.now() }
+            : { source: "screen" };
+          roomChanged(room);
+          broadcast(room, { type: "playback", roomId: room.roomId, ...room.playback }, clientId);
+          if (switched) {
+            const what = media ? `"${media.name}"` : "a file";
+            const message = msg.source === "file"
+              ? `The host switched to synced playback of ${what}.${media && media.url ? "" : " Load your copy of it to watch along."}`
+              : "The host switched back to screen sharing.";
+            broadcast(room, { type: "system", message });
+          }
+          return;
+        }
+
+        if (type === "recording") {
+          setRecording(room, msg.state === "stopped" ? null : msg.state);
+          roomChanged(room);
+          return;
+        }
+
+        // Without a viewerId: let everyone in
+        if (type === "admit" && !msg.viewerId) {
+          for (const id of [...room.waiting]) admitViewer(room, id);
+          return;
+        }
+
+        // Ban by name only: nobody with that name may join, and anyone using it now is removed
+        if (type === "ban" && !msg.viewerId && msg.name) {
+          const banned = normalizeName(msg.name);
+          if (!banned) return sendError(ws, "invalid_target", "Missing name.");
+          room.banned.names.add(banned);
+          for (const [id, role] of [...room.roles]) {
+            if (role === "viewer" && normalizeName(room.names.get(id)) === banned) {
+              expelViewer(room, id, { code: "banned", message: "You were banned from this room." });
+            }
+          }
+          roomChanged(room);
+          safeSend(ws, { type: "system", message: `The name "${String(msg.name).trim().slice(0, 40)}" is banned.` });
+          return;
+        }
+
+        const targetId = String(type === "transfer_host" ? msg.to || "" : msg.viewerId || "");
+        if (room.roles.get(targetId) !== "viewer") {
+          return sendError(ws, "invalid_target");
+        }
+        const targetName = room.names.get(targetId) || "Viewer";
+
+        if (type === "kick") {
+          expelViewer(room, targetId, { code: "kicked", message: "The host removed you from the room." });
+          return;
+        }
+
+        if (type === "ban") {
+          // Ids only survive through resume, so the name goes on the list too
+          room.banned.ids.add(targetId);
+          room.banned.names.add(normalizeName(targetName));
+          expelViewer(room, targetId, { code: "banned", message: "You were banned from this room." });
+          return;
+        }
+
+        if (type === "allow_talk") {
+          if (msg.allowed) room.talkers.add(targetId);
+          else room.talkers.delete(targetId);
+          if (!canTalk(room, targetId)) room.call.delete(targetId);
+          sendTo(room, targetId, { type: "system", message: msg.allowed ? "The host allowed you to talk." : "The host stopped you from talking." });
+          rosterChanged(room, { kind: "allow_talk", id: targetId, name: targetName, role: "viewer", allowed: !!msg.allowed });
+          return;
+        }
+
+        if (type === "admit") {
+          if (!room.waiting.has(targetId)) return sendError(ws, "invalid_target", "That viewer is not in the waiting room.");
+          admitViewer(room, targetId);
+          return;
+        }
+
+        if (type === "mute") {
+          const muted = msg.muted !== false;
+          // Like a ban, the name is kept too, so leaving and joining afresh doesn't lift the mute
+          const mutedName = normalizeName(targetName);
+          if (muted) {
+            room.muted.ids.add(targetId);
+            room.muted.names.add(mutedName);
+          } else {
+            room.muted.ids.delete(targetId);
+            room.muted.names.delete(mutedName);
+          }
+          const update = { type: "muted", roomId: room.roomId, viewerId: targetId, muted };
+          sendTo(room, targetId, update);
+          safeSend(ws, update);
+          broadcast(room, { type: "system", message: `${targetName} was ${muted ? "muted" : "unmuted"} by the host.` });
+          rosterChanged(room, { kind: "mute", id: targetId, name: targetName, role: "viewer", muted });
+          return;
+        }
+
+        if (!room.online.has(targetId)) {
+          return sendError(ws, "invalid_target", "That viewer is reconnecting, try again in a moment.");
+        }
+        if (room.waiting.has(targetId)) {
+          return sendError(ws, "invalid_target", "Let that viewer in first.");
+        }
+        transferHost(room, targetId);
+        return;
+      }
+
+      if (type === "call") {
+        const room = ws.roomId ? getRoom(ws.roomId) : null;
+        if (!room) return sendError(ws, "not_in_room");
+        if (room.waiting.has(clientId)) return sendError(ws, "waiting_room");
+
+        const name = room.names.get(clientId) || "User";
+        const role = room.roles.get(clientId);
+        if (!msg.active) {
+          if (room.call.delete(clientId)) rosterChanged(room, { kind: "call", id: clientId, name, role, active: false });
+          return;
+        }
+        if (!canTalk(room, clientId)) return sendError(ws, "talk_not_allowed");
+        const camera = !!msg.camera;
+        const current = room.call.get(clientId);
+        if (current && current.camera === camera) return;
+        room.call.set(clientId, { camera });
+        rosterChanged(room, { kind: "call", id: clientId, name, role, active: true, camera });
+        return;
+      }
+
+      if (type === "rename") {
+        const room = ws.roomId ? getRoom(ws.roomId) : null;
+        if (!room) return sendError(ws, "not_in_room");
+
+        const name = String(msg.name || "").trim().slice(0, 40);
+        if (!name) return sendError(ws, "name_rejected", "Name cannot be empty.");
+        // Viewers stay bound by the guest list and name bans they joined under
+        const role = room.roles.get(clientId);
+        if (role === "viewer") {
+          const denied = checkAccess(room, name, null);
+          if (denied && denied.code !== "password_required") {
+            return sendError(ws, "name_rejected", `You can't use that name: ${denied.message}`);
+          }
+        }
+
+        const oldName = room.names.get(clientId) || "User";
+        if (oldName === name) return;
+        room.names.set(clientId, name);
+        broadcast(room, { type: "system", message: `${oldName} is now ${name}.` });
+        rosterChanged(room, { kind: "rename", id: clientId, name, previousName: oldName, role });
+        return;
+      }
+
+      if (type === "leave") {
+        ws.leaving = true;
+        ws.close();
+        return;
+      }
+
+      sendError(ws, "unknown_type", `Unknown message type: ${type}`);
+    });
+
+    ws.on("close", () => {
+      const roomId = ws.roomId;
+      if (!roomId) return;
+
+      const room = getRoom(roomId);
+      if (!room) return;
+
+      const name = room.names.get(clientId) || (room.hostId === clientId ? "Host" : "Viewer");
+
+      // Remove from room
+      room.clients.delete(clientId);
+      room.online.delete(clientId);
+      // Call connections die with the page; a resumed client joins the call again
+      room.call.delete(clientId);
+      sfu.removePeer(roomId, clientId);
+
+      // Host left on purpose -> close room; connection lost -> wait for the host to come back
+      if (room.hostId === clientId) {
+        room.roles.delete(clientId);
+        room.names.delete(clientId);
+        if (ws.leaving) closeRoom(room, "Host left. Room closed.");
+        else startHostGrace(room);
+        return;
+      }
+
+      // Viewer left on purpose -> gone; connection lost -> hold its place for a resume
+      if (ws.leaving) removeViewer(room, clientId, name);
+      else markAway(room, clientId, name);
+    });
+  });
+
+  metrics.gauge("uwt_rooms", "Active rooms, by distribution mode", () => {
+    const counts = { mesh: 0, sfu: 0 };
+    for (const room of rooms.values()) counts[room.mode]++;
+    return Object.entries(counts).map(([mode, n]) => [{ mode }, n]);
+  });
+  metrics.gauge("uwt_clients", "Participants in rooms, by role and connection state", () => {
+    const counts = { "host/connected": 0, "viewer/connected": 0, "viewer/away": 0 };
+    for (const room of rooms.values()) {
+      for (const [id, role] of room.roles) {
+        const state = room.online.has(id) ? "connected" : "away";
+        counts[`${role}/${state}`] = (counts[`${role}/${state}`] || 0) + 1;
+      }
+    }
+    return Object.entries(counts).map(([key, n]) => {
+      const [role, state] = key.split("/");
+      return [{ role, state }, n];
+    });
+  });
+  metrics.gauge("uwt_ws_connections", "Open WebSocket connections, in a room or not", () => [[{}, wss.clients.size]]);
+  metrics.gauge("uwt_uptime_seconds", "Seconds since the server started", () => [[{}, Math.round(process.uptime())]]);
+
+  /** Resolves with the port once listening; pass 0 for any free port. */
+  function listen(port) {
+    return new Promise((resolve, reject) => {
+      server.once("error", reject);
+      server.listen(port, () => {
+        server.off("error", reject);
+        resolve(server.address().port);
+      });
+    });
+  }
+
+  /** Hangs up every client, stops the timers and closes the listener and the bus. */
+  function close() {
+    clearInterval(keepaliveTimer);
+    clearInterval(sweepTimer);
+    for (const roomId of [...rooms.keys()]) dropRoom(roomId);
+    for (const ws of wss.clients) ws.terminate();
+    cluster.close();
+    return new Promise((resolve) => wss.close(() => server.close(() => resolve())));
+  }
+
+  return { app, server, wss, listen, close };
+}
+
+module.exports = { createServer };
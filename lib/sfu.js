@@ -0,0 +1,215 @@
+/*
+  Optional SFU (selective forwarding unit) for rooms created in "sfu" mode.
+
+  - The host publishes its tracks once, to a server-side peer connection ("sfu").
+  - Every viewer gets its own server-side peer connection that forwards the host's RTP,
+    so the host's upload no longer grows with the number of viewers.
+  - Signaling reuses the normal `signal` messages with the reserved peer id "sfu".
+
+  Uses werift (WebRTC in plain JavaScript), installed as an optional dependency.
+  Video is forwarded as VP8 and audio as Opus; the server never decodes media.
+*/
+
+const SFU_PEER_ID = "sfu";
+// Everything a viewer receives belongs to one MediaStream, like the host's mesh offer
+const STREAM_ID = "uwt-sfu";
+const KEYFRAME_INTERVAL_MS = 3000;
+
+function loadWerift() {
+  try {
+    return require("werift");
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * @param {{
+ *   send: (roomId: string, clientId: string, data: object) => void,
+ *   iceServers?: Array<{ urls: string | string[], username?: string, credential?: string }>,
+ *   announcedIp?: string,
+ *   portRange?: [number, number],
+ * }} opts
+ */
+function createSfu({ send, iceServers = [], announcedIp, portRange }) {
+  const werift = loadWerift();
+
+  /** @type {Map<string, { publisher: object | null, subscribers: Map<string, object> }>} */
+  const rooms = new Map();
+
+  function roomState(roomId) {
+    let state = rooms.get(roomId);
+    if (!state) {
+      state = { publisher: null, subscribers: new Map() };
+      rooms.set(roomId, state);
+    }
+    return state;
+  }
+
+  function newPeerConnection(roomId, clientId) {
+    const { RTCPeerConnection, useVP8, useOPUS } = werift;
+    const pc = new RTCPeerConnection({
+      iceServers,
+      codecs: { video: [useVP8()], audio: [useOPUS()] },
+      iceAdditionalHostAddresses: announcedIp ? [announcedIp] : undefined,
+      icePortRange: portRange,
+    });
+    pc.onIceCandidate.subscribe((candidate) => {
+      if (!candidate) return;
+      send(roomId, clientId, { candidate: candidate.toJSON ? candidate.toJSON() : candidate });
+    });
+    return pc;
+  }
+
+  function describe(pc) {
+    const { type, sdp } = pc.localDescription;
+    return { description: { type, sdp } };
+  }
+
+  async function publish(roomId, hostId, offer) {
+    const state = roomState(roomId);
+    closePublisher(state);
+
+    const pc = newPeerConnection(roomId, hostId);
+    const publisher = { id: hostId, pc, sources: [], keyframeTimer: null };
+    state.publisher = publisher;
+
+    await pc.setRemoteDescription(offer);
+    for (const transceiver of pc.getTransceivers()) {
+      const source = { kind: transceiver.kind, tracks: new Set(), requestKeyframe: () => {} };
+      const attached = new Set();
+      const attach = (track) => {
+        if (attached.has(track)) return;
+        attached.add(track);
+        track.onReceiveRtp.subscribe((rtp) => {
+          for (const out of source.tracks) out.writeRtp(rtp);
+        });
+        if (source.kind === "video") {
+          source.requestKeyframe = () => transceiver.receiver.sendRtcpPLI(track.ssrc).catch(() => {});
+        }
+      };
+      // Tracks announced with a=ssrc exist already; others appear with their first packet
+      for (const track of transceiver.receiver.tracks) attach(track);
+      transceiver.onTrack.subscribe(attach);
+      publisher.sources.push(source);
+    }
+    await pc.setLocalDescription(await pc.createAnswer());
+    send(roomId, hostId, describe(pc));
+
+    // Late joiners need a keyframe to start decoding
+    publisher.keyframeTimer = setInterval(() => {
+      if (state.subscribers.size) requestKeyframes(publisher);
+    }, KEYFRAME_INTERVAL_MS);
+
+    pc.connectionStateChange.subscribe((s) => {
+      if ((s === "failed" || s === "closed") && state.publisher === publisher) closePublisher(state);
+    });
+
+    // Everyone already in the room gets (re)subscribed to the new publication
+    for (const viewerId of [...state.subscribers.keys()]) await subscribe(roomId, viewerId);
+  }
+
+  function requestKeyframes(publisher) {
+    for (const source of publisher.sources) source.requestKeyframe();
+  }
+
+  function closePublisher(state) {
+    const publisher = state.publisher;
+    if (!publisher) return;
+    state.publisher = null;
+    clearInterval(publisher.keyframeTimer);
+    publisher.pc.close().catch(() => {});
+  }
+
+  async function subscribe(roomId, viewerId) {
+    const state = roomState(roomId);
+    closeSubscriber(state, viewerId);
+
+    // No publication yet: remember the viewer, it is offered once the host publishes
+    const publisher = state.publisher;
+    if (!publisher) {
+      state.subscribers.set(viewerId, null);
+      return;
+    }
+
+    const { MediaStreamTrack } = werift;
+    const pc = newPeerConnection(roomId, viewerId);
+    const subscriber = { pc, outputs: [] };
+    state.subscribers.set(viewerId, subscriber);
+
+    for (const source of publisher.sources) {
+      const track = new MediaStreamTrack({ kind: source.kind });
+      const transceiver = pc.addTransceiver(track, { direction: "sendonly" });
+      transceiver.sender.streamId = STREAM_ID;
+      source.tracks.add(track);
+      subscriber.outputs.push({ source, track });
+    }
+
+    pc.connectionStateChange.subscribe((s) => {
+      if (s === "connected") requestKeyframes(publisher);
+    });
+
+    await pc.setLocalDescription(await pc.createOffer());
+    send(roomId, viewerId, describe(pc));
+  }
+
+  function closeSubscriber(state, viewerId) {
+    const subscriber = state.subscribers.get(viewerId);
+    state.subscribers.delete(viewerId);
+    if (!subscriber) return;
+    for (const { source, track } of subscriber.outputs) source.tracks.delete(track);
+    subscriber.pc.close().catch(() => {});
+  }
+
+  function peerFor(state, clientId) {
+    if (state.publisher && state.publisher.id === clientId) return state.publisher.pc;
+    const subscriber = state.subscribers.get(clientId);
+    return subscriber ? subscriber.pc : null;
+  }
+
+  return {
+    available: !!werift,
+
+    /**
+     * A `signal` addressed to "sfu". Offers come from the host (publish);
+     * answers come from viewers; candidates from either side.
+     */
+    async handleSignal(roomId, fromId, isHost, data) {
+      if (!werift) throw new Error("SFU unavailable");
+      const description = data && data.description;
+      if (description && description.type === "offer") {
+        if (!isHost) throw new Error("Only the host can publish");
+        return publish(roomId, fromId, description);
+      }
+
+      const state = rooms.get(roomId);
+      const pc = state && peerFor(state, fromId);
+      if (!pc) return;
+      if (description && description.type === "answer") await pc.setRemoteDescription(description);
+      if (data.candidate) await pc.addIceCandidate(data.candidate).catch(() => {});
+    },
+
+    /** A viewer is in the room (joined or resumed): offer it the current publication. */
+    addViewer(roomId, viewerId) {
+      if (!werift) return Promise.resolve();
+      return subscribe(roomId, viewerId);
+    },
+
+    removePeer(roomId, clientId) {
+      const state = rooms.get(roomId);
+      if (!state) return;
+      if (state.publisher && state.publisher.id === clientId) closePublisher(state);
+      else closeSubscriber(state, clientId);
+    },
+
+    closeRoom(roomId) {
+      const state = rooms.get(roomId);
+      if (!state) return;
+      closePublisher(state);
+      for (const viewerId of [...state.subscribers.keys()]) closeSubscriber(state, viewerId);
+      rooms.delete(roomId);
+    },
+  };
+}
+
+module.exports = { createSfu, SFU_PEER_ID };
@@ -1,46 +1,148 @@
 /* UltraWatchTogether client
    - Host: capture screen, create RTCPeerConnection per viewer, send offer
+     (SFU rooms: one RTCPeerConnection to the server relay instead)
    - Viewer: receive offer, send answer, play remote stream
 */
 
 const el = (id) => document.getElementById(id);
+// Shared with the server: message schemas, error codes, protocol version (lib/protocol.js)
+const { PROTOCOL_VERSION, ERRORS, REACTION_EMOJIS, validateMessage } = window.UWTProtocol;
 const statusEl = el("status");
+const leaveLobbyBtn = el("leaveLobbyBtn");
 const statsEl = el("stats");
+const statsPanel = el("statsPanel");
+const statsBody = el("statsBody");
+const latencyRow = el("latencyRow");
+const playoutModeEl = el("playoutMode");
+const latencyInfo = el("latencyInfo");
+const statsHeadLocal = el("statsHeadLocal");
+const statsHeadRemote = el("statsHeadRemote");
 const videoEl = el("video");
 
 const nameEl = el("name");
 const createRoomBtn = el("createRoomBtn");
 const joinRoomBtn = el("joinRoomBtn");
 const roomIdInput = el("roomIdInput");
+const roomPasswordEl = el("roomPassword");
+const allowListEl = el("allowList");
+const waitingRoomOptEl = el("waitingRoomOpt");
+const roomModeEl = el("roomMode");
 const roomInfo = el("roomInfo");
 const roomIdText = el("roomIdText");
 const inviteLinkEl = el("inviteLink");
 const copyInviteBtn = el("copyInviteBtn");
+const reclaimHostBtn = el("reclaimHostBtn");
+const hostLinkRow = el("hostLinkRow");
+const hostLinkEl = el("hostLink");
+const copyHostLinkBtn = el("copyHostLinkBtn");
 
 const hostControls = el("hostControls");
 const startShareBtn = el("startShareBtn");
 const stopShareBtn = el("stopShareBtn");
+const switchShareBtn = el("switchShareBtn");
+const shareFileBtn = el("shareFileBtn");
+const shareFileInput = el("shareFileInput");
+const fileShareControls = el("fileShareControls");
+const fileShareToggleBtn = el("fileShareToggleBtn");
+const fileShareSeek = el("fileShareSeek");
+const fileShareTime = el("fileShareTime");
 const includeSystemAudioEl = el("includeSystemAudio");
 const includeMicEl = el("includeMic");
 const qualityEl = el("quality");
+const maxBitrateEl = el("maxBitrate");
+const contentHintEl = el("contentHint");
+const codecPrefEl = el("codecPref");
+const autoQualityEl = el("autoQuality");
+const playFileBtn = el("playFileBtn");
+const playUrlInput = el("playUrlInput");
+const playUrlBtn = el("playUrlBtn");
+const backToScreenBtn = el("backToScreenBtn");
+const turnUrlEl = el("turnUrl");
+const turnUserEl = el("turnUser");
+const turnCredentialEl = el("turnCredential");
+const saveTurnBtn = el("saveTurnBtn");
+const peoplePanel = el("peoplePanel");
+const participantListEl = el("participantList");
+const lobbyControls = el("lobbyControls");
+const waitingRoomToggle = el("waitingRoomToggle");
+const admitAllBtn = el("admitAllBtn");
+const callOpenToggle = el("callOpenToggle");
+const renameBtn = el("renameBtn");
+const banNameInput = el("banNameInput");
+const banNameBtn = el("banNameBtn");
+const recordBtn = el("recordBtn");
+const pauseRecordBtn = el("pauseRecordBtn");
+const stopRecordBtn = el("stopRecordBtn");
+const recordStatusEl = el("recordStatus");
+const recordingsEl = el("recordings");
+const exportChatJsonBtn = el("exportChatJsonBtn");
+const exportChatTxtBtn = el("exportChatTxtBtn");
+const endRoomBtn = el("endRoomBtn");
 
 const chatLog = el("chatLog");
 const chatInput = el("chatInput");
 const sendChatBtn = el("sendChatBtn");
 const fullscreenBtn = el("fullscreenBtn");
+const videoWrap = el("videoWrap");
+const reactionLayer = el("reactionLayer");
+const recBadge = el("recBadge");
+const callTilesEl = el("callTiles");
+const annotationCanvas = el("annotationCanvas");
+const annotationBar = el("annotationBar");
+const annotationsToggleLabel = el("annotationsToggleLabel");
+const annotationsToggle = el("annotationsToggle");
+const clearAnnotationsBtn = el("clearAnnotationsBtn");
+const annotationInfo = el("annotationInfo");
+const toolButtons = [el("pointerToolBtn"), el("penToolBtn"), el("arrowToolBtn")];
+const callControls = el("callControls");
+const joinCallBtn = el("joinCallBtn");
+const callCameraEl = el("callCamera");
+const pushToTalkEl = el("pushToTalk");
+const talkBtn = el("talkBtn");
+const callMicBtn = el("callMicBtn");
+const leaveCallBtn = el("leaveCallBtn");
+const callInfo = el("callInfo");
+const filePanel = el("filePanel");
+const fileInfo = el("fileInfo");
+const loadFileBtn = el("loadFileBtn");
+const fileInput = el("fileInput");
+const reactionBar = el("reactionBar");
+const typingEl = el("typingEl");
+const replyBar = el("replyBar");
+const replyText = el("replyText");
+const cancelReplyBtn = el("cancelReplyBtn");
 
 let ws = null;
 let selfId = null;
 let role = null; // 'host'|'viewer'
 let roomId = null;
 let hostId = null;
+let roomPassword = null; // viewer: password for the current room, if it has one
+let roomMode = "mesh"; // 'mesh'|'sfu'
+let joinName = null;
+
+// Reconnect state: after a dropped socket we rejoin the same room/role/name and resume our old id
+const RECONNECT_BASE_MS = 500;
+const RECONNECT_MAX_MS = 15000;
+let session = null; // { id, token } from the last `joined`
+let autoReconnect = false; // true once joined; false after the room closes or a fatal error
+let reconnectTimer = null;
+let reconnectAttempts = 0;
+let lastChatTs = 0;
+const chatMessages = new Map(); // chat id -> { chat, el }; replays after a reconnect don't repeat
 
 // WebRTC state
-let screenStream = null;
+let screenStream = null; // what the host shares: a screen capture, or a file (see captureFile)
 let micStream = null;
+let fileShare = null; // { media, ctx, name } while a file is shared
 // peerConnections[peerId] = RTCPeerConnection
 const peerConnections = {};
 const pendingViewers = new Set(); // viewerIds that joined before host started sharing
+// In SFU rooms both host and viewers talk to the server-side relay under this peer id
+const SFU_PEER_ID = "sfu";
+// ICE servers from /api/ice-config; refetched before TURN credentials expire
+let iceServers = [];
+let iceExpiresAt = 0;
 let statsInterval = null;
 
 function setStatus(text) {
@@ -72,53 +174,133 @@ function wsUrl() {
   return location.origin.replace(/^http/, "ws");
 }
 
+// Host tokens are kept per room in localStorage so a refresh or second tab can resume hosting.
+// On another device, the host link carries the token in the URL fragment (never sent to the server).
+function hostTokenKey(rid) {
+  return `uwt.hostToken.${rid}`;
+}
+
+function getHostToken(rid) {
+  try { return localStorage.getItem(hostTokenKey(rid)); } catch { return null; }
+}
+
+function saveHostToken(rid, token) {
+  try { localStorage.setItem(hostTokenKey(rid), token); } catch {}
+}
+
+function parseUrlHostToken() {
+  const m = /(?:^#|&)host=([^&]+)/.exec(location.hash);
+  return m ? decodeURIComponent(m[1]) : "";
+}
+
 function parseUrlRoom() {
   const u = new URL(location.href);
   const r = u.searchParams.get("room");
   return r ? r.trim() : "";
 }
 
+// Capture size/rate per quality option, with the bitrate we aim for when "Max bitrate" is Auto
+const QUALITY_PRESETS = {
+  "720p30": { width: 1280, height: 720, frameRate: 30, bitrateKbps: 2500 },
+  "1080p30": { width: 1920, height: 1080, frameRate: 30, bitrateKbps: 4500 },
+  "1080p60": { width: 1920, height: 1080, frameRate: 60, bitrateKbps: 7000 },
+  "1440p30": { width: 2560, height: 1440, frameRate: 30, bitrateKbps: 8000 },
+};
+
+function videoConstraints() {
+  const p = QUALITY_PRESETS[qualityEl.value] || QUALITY_PRESETS["1080p30"];
+  return { width: { ideal: p.width }, height: { ideal: p.height }, frameRate: { ideal: p.frameRate, max: p.frameRate } };
+}
+
 function getDisplayConstraints() {
-  const q = qualityEl.value;
-  const base = { video: {}, audio: includeSystemAudioEl.checked };
-  if (q === "720p30") {
-    base.video = { width: { ideal: 1280 }, height: { ideal: 720 }, frameRate: { ideal: 30, max: 30 } };
-  } else if (q === "1080p30") {
-    base.video = { width: { ideal: 1920 }, height: { ideal: 1080 }, frameRate: { ideal: 30, max: 30 } };
-  } else if (q === "1080p60") {
-    base.video = { width: { ideal: 1920 }, height: { ideal: 1080 }, frameRate: { ideal: 60, max: 60 } };
-  } else if (q === "1440p30") {
-    base.video = { width: { ideal: 2560 }, height: { ideal: 1440 }, frameRate: { ideal: 30, max: 30 } };
-  }
-  return base;
+  return { video: videoConstraints(), audio: includeSystemAudioEl.checked };
 }
 
 function connectWs() {
   return new Promise((resolve, reject) => {
-    ws = new WebSocket(wsUrl());
-    ws.onopen = () => resolve();
-    ws.onerror = (e) => reject(e);
-    ws.onmessage = (evt) => handleWsMessage(evt.data);
-    ws.onclose = () => {
-      setStatus("Disconnected.");
+    const sock = new WebSocket(wsUrl());
+    ws = sock;
+    sock.onopen = () => resolve();
+    sock.onerror = (e) => reject(e);
+    sock.onmessage = (evt) => handleWsMessage(evt.data);
+    sock.onclose = (evt) => {
+      if (sock !== ws) return; // an older socket we already replaced
       cleanupAllPeers();
+      dropCallConnections();
+      // 1009: we sent a frame over the server's MAX_PAYLOAD_BYTES
+      if (evt.code === 1009) appendChat({ system: true, message: "Disconnected: a message was too large for the server." });
+      if (autoReconnect && roomId && role) {
+        // Host keeps its capture running: the room waits for us, and rejoining re-offers to every viewer
+        scheduleReconnect();
+        return;
+      }
+      setStatus("Disconnected.");
       stopStreams();
       stopStats();
+      endCall();
     };
   });
 }
 
+function scheduleReconnect() {
+  if (reconnectTimer) return;
+  const backoff = Math.min(RECONNECT_MAX_MS, RECONNECT_BASE_MS * 2 ** reconnectAttempts);
+  const delay = Math.round(backoff * (0.8 + Math.random() * 0.4));
+  reconnectAttempts++;
+  setStatus(`Connection lost. Reconnecting in ${Math.ceil(delay / 1000)}s…`);
+  reconnectTimer = setTimeout(async () => {
+    reconnectTimer = null;
+    try {
+      await connectWs();
+    } catch {
+      return; // onclose schedules the next attempt
+    }
+    setStatus("Reconnected. Rejoining room…");
+    sendJoin(role);
+  }, delay);
+}
+
 function send(obj) {
   if (!ws || ws.readyState !== WebSocket.OPEN) return;
   ws.send(JSON.stringify(obj));
 }
 
 async function createRoom() {
-  const res = await fetch("/api/new-room");
+  const res = await fetch("/api/new-room", {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({
+      password: roomPasswordEl.value,
+      allow: allowListEl.value,
+      mode: roomModeEl.value,
+      waitingRoom: waitingRoomOptEl.checked,
+    }),
+  });
   const data = await res.json();
+  saveHostToken(data.roomId, data.hostToken);
+  if (roomModeEl.value === "sfu" && data.mode !== "sfu") {
+    appendChat({ system: true, message: "SFU is not available on this server; using mesh." });
+  }
   return data.roomId;
 }
 
+async function fetchRoomInfo(rid) {
+  try {
+    const res = await fetch(`/api/room/${encodeURIComponent(rid)}`);
+    if (!res.ok) return null;
+    return await res.json();
+  } catch {
+    return null;
+  }
+}
+
+function askRoomPassword(retry) {
+  const pw = prompt(retry ? "Wrong password. Try again:" : "This room is password protected. Password:");
+  if (pw === null) return false;
+  roomPassword = pw;
+  return true;
+}
+
 function showRoomInfo() {
   roomInfo.classList.remove("hidden");
   roomIdText.textContent = roomId;
@@ -128,41 +310,89 @@ function showRoomInfo() {
 
   // If viewer joined via URL, show its room in box too.
   roomIdInput.value = roomId;
+
+  const token = role === "host" ? getHostToken(roomId) : null;
+  hostLinkRow.classList.toggle("hidden", !token);
+  if (token) hostLinkEl.value = `${invite}#host=${encodeURIComponent(token)}`;
 }
 
 function setRoleUi(newRole) {
   role = newRole;
   if (role === "host") {
     hostControls.classList.remove("hidden");
-    videoEl.muted = true; // host preview muted
+    videoEl.muted = !localMedia; // host preview muted; synced playback is heard like everyone else's
   } else {
     hostControls.classList.add("hidden");
     videoEl.muted = false;
   }
 }
 
+const TURN_STORAGE_KEY = "uwt.turn";
+const FALLBACK_ICE_SERVERS = [{ urls: "stun:stun.l.google.com:19302" }];
+
+async function loadIceConfig() {
+  // Refresh a minute before time-limited TURN credentials run out
+  if (iceServers.length && (!iceExpiresAt || Date.now() < iceExpiresAt - 60000)) return;
+  // Only participants get ICE servers; peer connections only start after `joined` anyway
+  if (!session || !roomId) return;
+  try {
+    const query = new URLSearchParams({ roomId, id: session.id, token: session.token });
+    const res = await fetch(`/api/ice-config?${query}`);
+    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+    const data = await res.json();
+    iceServers = data.iceServers || [];
+    iceExpiresAt = data.expiresAt || 0;
+  } catch (e) {
+    console.warn("ice-config failed, using public STUN", e);
+    iceServers = FALLBACK_ICE_SERVERS;
+    iceExpiresAt = 0;
+  }
+}
+
+function loadCustomTurn() {
+  try { return JSON.parse(localStorage.getItem(TURN_STORAGE_KEY)) || null; } catch { return null; }
+}
+
 function iceConfig() {
-  // You can add TURN here later for reliability across restrictive NATs.
-  return {
-    iceServers: [
-      { urls: "stun:stun.l.google.com:19302" },
-      { urls: "stun:global.stun.twilio.com:3478?transport=udp" }
-    ]
-  };
+  const servers = [...iceServers];
+  const turn = loadCustomTurn();
+  if (turn && turn.urls) servers.push(turn);
+  return { iceServers: servers };
 }
 
-function makePeerConnection(remoteId) {
+// Negotiation follows the "perfect negotiation" pattern: either side may renegotiate when its
+// tracks change (negotiationneeded); on a collision the viewer (polite) rolls back, the host wins.
+// The SFU relay offers a fresh connection each time, so that one is never renegotiated in place.
+// `channel: "call"` connections carry call audio/video instead of the stream (see the Call section).
+function makePeerConnection(remoteId, { polite = role === "viewer", negotiate = remoteId !== SFU_PEER_ID, channel = "stream" } = {}) {
   const pc = new RTCPeerConnection(iceConfig());
+  pc.polite = polite;
+  pc.makingOffer = false;
+  pc.ignoreOffer = false;
+
+  if (negotiate) {
+    pc.onnegotiationneeded = async () => {
+      try {
+        pc.makingOffer = true;
+        await pc.setLocalDescription();
+        sendSignal(remoteId, { description: pc.localDescription }, channel);
+      } catch (e) {
+        console.error("negotiation failed", e);
+      } finally {
+        pc.makingOffer = false;
+      }
+    };
+  }
 
   pc.onicecandidate = (event) => {
     if (event.candidate) {
-      send({ type: "signal", to: remoteId, data: { candidate: event.candidate } });
+      sendSignal(remoteId, { candidate: event.candidate }, channel);
     }
   };
 
   pc.onconnectionstatechange = () => {
-    // Useful for debugging
-    // console.log("pc state", remoteId, pc.connectionState);
+    // The host's participant list shows each viewer's connection state
+    if (role === "host") renderParticipants();
   };
 
   pc.oniceconnectionstatechange = () => {
@@ -173,10 +403,20 @@ function makePeerConnection(remoteId) {
   };
 
   pc.ontrack = (event) => {
+    if (channel === "call") {
+      showCallStream(remoteId, event.streams[0]);
+      return;
+    }
     // Viewer will receive stream tracks here
     if (role === "viewer") {
+      applyPlayoutMode(pc);
+      startStats();
       const [stream] = event.streams;
-      if (stream) {
+      remoteStream = stream || remoteStream;
+      // Kept for when the room goes back to screen share
+      if (playback.source === "file") return;
+      // Tracks added by a renegotiation join the stream that is already playing
+      if (stream && videoEl.srcObject !== stream) {
         videoEl.srcObject = stream;
         // Ensure playback starts even under autoplay restrictions
         videoEl.play().catch(() => {
@@ -189,56 +429,278 @@ function makePeerConnection(remoteId) {
   return pc;
 }
 
+// Everything the host sends is announced as one stream, so viewers play screen and mic together
+const sendStream = new MediaStream();
+
+function outgoingTracks() {
+  return [
+    ...(screenStream ? screenStream.getTracks() : []),
+    ...(micStream ? micStream.getAudioTracks() : []),
+  ];
+}
+
 function addLocalTracks(pc) {
-  if (screenStream) {
-    for (const track of screenStream.getTracks()) pc.addTrack(track, screenStream);
+  for (const track of outgoingTracks()) pc.addTrack(track, sendStream);
+}
+
+// Match a connection's senders to the current tracks: same kind -> replaceTrack (no renegotiation),
+// extra or missing tracks -> addTrack/removeTrack. Returns true if the set of tracks changed.
+async function syncSenders(pc) {
+  const wanted = outgoingTracks();
+  let changed = false;
+  for (const kind of ["video", "audio"]) {
+    const tracks = wanted.filter((t) => t.kind === kind);
+    const senders = pc.getSenders().filter((s) => s.track && s.track.kind === kind);
+    for (let i = 0; i < Math.max(tracks.length, senders.length); i++) {
+      if (senders[i] && tracks[i]) {
+        if (senders[i].track !== tracks[i]) await senders[i].replaceTrack(tracks[i]);
+      } else if (tracks[i]) {
+        pc.addTrack(tracks[i], sendStream);
+        changed = true;
+      } else {
+        pc.removeTrack(senders[i]);
+        changed = true;
+      }
+    }
   }
-  if (micStream) {
-    for (const track of micStream.getAudioTracks()) pc.addTrack(track, micStream);
+  return changed;
+}
+
+// After a source switch or mic toggle: mesh connections renegotiate by themselves if needed;
+// the SFU publication is redone when its track set changes.
+async function updateAllSenders() {
+  for (const [peerId, pc] of Object.entries(peerConnections)) {
+    const changed = await syncSenders(pc);
+    if (peerId === SFU_PEER_ID && changed) await hostPublishToSfu();
+  }
+}
+
+// --- Live quality -----------------------------------------------------------
+// Host changes apply to the running share: capture via applyConstraints(), encoding via
+// RTCRtpSender.setParameters(). "Auto" lowers one viewer's encoding when its stats look bad
+// and walks it back up once they recover.
+const AUTO_MIN_KBPS = 300;
+const AUTO_STEP_DOWN = 0.7;
+const AUTO_STEP_UP = 1.15;
+const AUTO_GOOD_SAMPLES = 4; // consecutive good samples before stepping up
+const encodingState = {}; // peerId -> { bitrateKbps, scale, good }
+
+function targetBitrateKbps() {
+  const cap = Number(maxBitrateEl.value);
+  if (cap) return cap;
+  return (QUALITY_PRESETS[qualityEl.value] || QUALITY_PRESETS["1080p30"]).bitrateKbps;
+}
+
+function screenVideoTrack() {
+  return screenStream ? screenStream.getVideoTracks()[0] || null : null;
+}
+
+async function applyEncoding(pc, bitrateKbps, scale) {
+  for (const sender of pc.getSenders()) {
+    if (!sender.track || sender.track.kind !== "video") continue;
+    const params = sender.getParameters();
+    if (!params.encodings || !params.encodings.length) params.encodings = [{}];
+    params.encodings[0].maxBitrate = Math.round(bitrateKbps * 1000);
+    params.encodings[0].scaleResolutionDownBy = scale;
+    params.degradationPreference = contentHintEl.value === "motion" ? "maintain-framerate" : "maintain-resolution";
+    await sender.setParameters(params);
+  }
+}
+
+function resetEncoding(peerId) {
+  const pc = peerConnections[peerId];
+  encodingState[peerId] = { bitrateKbps: targetBitrateKbps(), scale: 1, good: 0 };
+  if (pc) return applyEncoding(pc, encodingState[peerId].bitrateKbps, 1).catch((e) => console.warn("setParameters", e));
+}
+
+async function applyQualityLive() {
+  const track = screenVideoTrack();
+  if (!track) return;
+  track.contentHint = contentHintEl.value;
+  // A shared file comes at its own resolution; only the encoding changes
+  if (!fileShare) {
+    try {
+      await track.applyConstraints(videoConstraints());
+    } catch (e) {
+      appendChat({ system: true, message: `Could not change capture: ${e.message}` });
+    }
+  }
+  await Promise.all(Object.keys(peerConnections).map(resetEncoding));
+}
+
+// Called with each stats sample on the host
+function adaptEncoding(peerId, sent, received) {
+  const pc = peerConnections[peerId];
+  if (!pc || !autoQualityEl.checked) return;
+  const st = encodingState[peerId] || (encodingState[peerId] = { bitrateKbps: targetBitrateKbps(), scale: 1, good: 0 });
+  const target = targetBitrateKbps();
+  const worst = [sent, received].filter(Boolean);
+  const loss = Math.max(0, ...worst.map((s) => s.lossPct || 0));
+  const rtt = Math.max(0, ...worst.map((s) => s.rttMs || 0));
+
+  let next = null;
+  if (loss > 5 || rtt > 400) {
+    st.good = 0;
+    const kbps = Math.max(AUTO_MIN_KBPS, Math.round(st.bitrateKbps * AUTO_STEP_DOWN));
+    // Once the bitrate bottoms out, trade resolution for smoothness
+    const scale = kbps === st.bitrateKbps ? Math.min(4, st.scale * 1.5) : st.scale;
+    next = { kbps, scale };
+  } else if (loss < 1 && rtt < 200 && (st.bitrateKbps < target || st.scale > 1)) {
+    st.good++;
+    if (st.good >= AUTO_GOOD_SAMPLES) {
+      st.good = 0;
+      next = st.scale > 1
+        ? { kbps: st.bitrateKbps, scale: Math.max(1, st.scale / 1.5) }
+        : { kbps: Math.min(target, Math.round(st.bitrateKbps * AUTO_STEP_UP)), scale: 1 };
+    }
+  } else {
+    st.good = 0;
+  }
+
+  if (next && (next.kbps !== st.bitrateKbps || next.scale !== st.scale)) {
+    st.bitrateKbps = next.kbps;
+    st.scale = next.scale;
+    applyEncoding(pc, st.bitrateKbps, st.scale).catch((e) => console.warn("setParameters", e));
+  }
+}
+
+// Put the chosen codec first; the browser falls back to the others
+function applyCodecPreference(pc) {
+  const mime = codecPrefEl.value;
+  if (!mime || typeof RTCRtpSender.getCapabilities !== "function") return;
+  const caps = RTCRtpSender.getCapabilities("video");
+  if (!caps) return;
+  const codecs = [...caps.codecs].sort((a, b) => (b.mimeType === mime) - (a.mimeType === mime));
+  for (const t of pc.getTransceivers()) {
+    if (t.sender.track && t.sender.track.kind === "video" && t.setCodecPreferences) {
+      try { t.setCodecPreferences(codecs); } catch (e) { console.warn("setCodecPreferences", e); }
+    }
+  }
+}
+
+// Codec changes need a new offer on every mesh connection; viewers answer on the same connection
+async function renegotiateCodec() {
+  if (roomMode !== "mesh") return;
+  for (const [viewerId, pc] of Object.entries(peerConnections)) {
+    applyCodecPreference(pc);
+    if (pc.signalingState !== "stable") continue; // picked up by the negotiation in flight
+    try {
+      pc.makingOffer = true;
+      await pc.setLocalDescription(await pc.createOffer());
+      send({ type: "signal", to: viewerId, data: { description: pc.localDescription } });
+    } finally {
+      pc.makingOffer = false;
+    }
   }
 }
 
 async function hostCreateOfferForViewer(viewerId) {
+  // SFU rooms: the relay serves viewers from our single publication
+  if (roomMode === "sfu") return;
+
   if (!screenStream) {
     pendingViewers.add(viewerId);
     appendChat({ system: true, message: "Viewer joined. Start sharing to send video/audio." });
     return;
   }
 
+  await loadIceConfig();
+
   // Create per-viewer PC
   const pc = makePeerConnection(viewerId);
   peerConnections[viewerId] = pc;
+  attachAnnotationChannel(viewerId, pc.createDataChannel("annotations"));
+  // Probes are only worth anything fresh: never queued or resent
+  attachLatencyChannel(viewerId, pc.createDataChannel("latency", { ordered: false, maxRetransmits: 0 }));
 
+  // Adding tracks fires negotiationneeded, which sends the offer
+  addLocalTracks(pc);
+  applyCodecPreference(pc);
+}
+
+// Host in an SFU room: send our tracks once, to the relay
+async function hostPublishToSfu() {
+  if (!screenStream) return;
+  await loadIceConfig();
+
+  cleanupPeer(SFU_PEER_ID);
+  const pc = makePeerConnection(SFU_PEER_ID);
+  peerConnections[SFU_PEER_ID] = pc;
   addLocalTracks(pc);
 
-  const offer = await pc.createOffer({ offerToReceiveAudio: true, offerToReceiveVideo: true });
-  await pc.setLocalDescription(offer);
+  await pc.setLocalDescription(await pc.createOffer());
+  send({ type: "signal", to: SFU_PEER_ID, data: { description: pc.localDescription } });
+}
 
-  send({ type: "signal", to: viewerId, data: { description: pc.localDescription } });
+function sendSignal(to, data, channel = "stream") {
+  const msg = { type: "signal", to, data };
+  if (channel !== "stream") msg.channel = channel;
+  send(msg);
 }
 
-async function viewerHandleOffer(fromId, description) {
-  hostId = fromId;
+// The perfect negotiation step shared by stream and call connections: returns false for an offer
+// we ignore (we are impolite and made our own), answers offers we accept
+async function applyRemoteDescription(pc, remoteId, description, channel) {
+  const collision = description.type === "offer" && (pc.makingOffer || pc.signalingState !== "stable");
+  pc.ignoreOffer = !pc.polite && collision;
+  if (pc.ignoreOffer) return false;
+
+  // A polite peer's setRemoteDescription rolls back its own pending offer implicitly
+  await pc.setRemoteDescription(description);
+
+  if (description.type === "offer") {
+    await pc.setLocalDescription();
+    sendSignal(remoteId, { description: pc.localDescription }, channel);
+  }
+  return true;
+}
 
+async function handleRemoteDescription(fromId, description) {
   let pc = peerConnections[fromId];
-  if (!pc) {
-    pc = makePeerConnection(fromId);
-    peerConnections[fromId] = pc;
+
+  if (description.type === "offer") {
+    if (fromId === SFU_PEER_ID) {
+      // Every relay offer comes from a fresh server-side connection
+      cleanupPeer(fromId);
+      pc = null;
+    } else if (role === "viewer" && fromId !== hostId) {
+      // Only the host (joined/host_ready told us who) offers the stream
+      return;
+    }
+    if (!pc && role === "viewer") {
+      await loadIceConfig();
+      pc = peerConnections[fromId];
+      if (!pc) {
+        pc = makePeerConnection(fromId);
+        peerConnections[fromId] = pc;
+        pc.ondatachannel = (event) => {
+          if (event.channel.label === "annotations") attachAnnotationChannel(fromId, event.channel);
+          if (event.channel.label === "latency") attachLatencyChannel(fromId, event.channel);
+        };
+      }
+    }
   }
+  if (!pc) return;
 
-  await pc.setRemoteDescription(description);
-  const answer = await pc.createAnswer();
-  await pc.setLocalDescription(answer);
+  if (!(await applyRemoteDescription(pc, fromId, description))) return;
+  if (description.type === "offer") return;
 
-  send({ type: "signal", to: fromId, data: { description: pc.localDescription } });
+  if (role === "host") {
+    if (fromId === SFU_PEER_ID) setStatus("Sharing through the SFU relay.");
+    else setStatus(`Sharing. ${Object.keys(peerConnections).length} viewer(s) connected.`);
+    // Encoding parameters can only be set once the sender is negotiated
+    if (!encodingState[fromId]) await resetEncoding(fromId);
+  }
 }
 
-async function handleRemoteCandidate(fromId, candidate) {
-  const pc = peerConnections[fromId];
+async function handleRemoteCandidate(fromId, candidate, connections = peerConnections) {
+  const pc = connections[fromId];
   if (!pc) return;
   try {
     await pc.addIceCandidate(candidate);
   } catch (e) {
+    // Candidates for an offer we ignored during a collision are expected to fail
+    if (pc.ignoreOffer) return;
     // Can happen if candidate arrives before remote description is set
     // In practice, browsers handle most of this; still log for debugging.
     console.warn("addIceCandidate failed", e);
@@ -251,32 +713,111 @@ function cleanupPeer(peerId) {
     try { pc.close(); } catch {}
     delete peerConnections[peerId];
   }
+  delete annotationChannels[peerId];
+  delete latencyChannels[peerId];
+  delete encodeTimes[peerId];
+  delete statsPrev[peerId];
+  delete encodingState[peerId];
 }
 
 function cleanupAllPeers() {
   for (const id of Object.keys(peerConnections)) cleanupPeer(id);
 }
 
-async function startSharing() {
-  if (role !== "host") return;
+async function syncMic() {
+  if (includeMicEl.checked && !micStream) {
+    micStream = await navigator.mediaDevices.getUserMedia({
+      audio: {
+        echoCancellation: true,
+        noiseSuppression: true,
+        autoGainControl: true
+      },
+      video: false
+    });
+  } else if (!includeMicEl.checked && micStream) {
+    for (const t of micStream.getTracks()) t.stop();
+    micStream = null;
+  }
+}
 
-  stopStreams();
+// Share a local file instead of the screen: it plays in a video element that isn't on the page. The
+// picture comes from captureStream(); the sound goes through WebAudio, so it is the file's own audio
+// whatever getDisplayMedia can capture on this OS, and the host hears it too.
+async function captureFile(file) {
+  const media = document.createElement("video");
+  media.playsInline = true;
+  const capture = media.captureStream || media.mozCaptureStream;
+  if (!capture) throw new Error("This browser can't stream a file (no captureStream).");
+  media.src = URL.createObjectURL(file);
+  try {
+    await new Promise((resolve, reject) => {
+      media.onloadedmetadata = resolve;
+      media.onerror = () => reject(new Error("This browser can't play that file."));
+    });
+  } catch (e) {
+    URL.revokeObjectURL(media.src);
+    throw e;
+  }
+
+  const ctx = new AudioContext();
+  const source = ctx.createMediaElementSource(media);
+  const dest = ctx.createMediaStreamDestination();
+  source.connect(dest);
+  source.connect(ctx.destination);
+  const stream = new MediaStream([...capture.call(media).getVideoTracks(), ...dest.stream.getAudioTracks()]);
+
+  media.addEventListener("play", renderFileShare);
+  media.addEventListener("pause", renderFileShare);
+  media.addEventListener("timeupdate", renderFileShare);
+  media.play().catch(() => {}); // paused if autoplay is refused; the host presses Play
+  return { stream, share: { media, ctx, name: file.name } };
+}
+
+function releaseFileShare(share) {
+  share.media.pause();
+  share.ctx.close().catch(() => {});
+  URL.revokeObjectURL(share.media.src);
+  share.media.removeAttribute("src");
+  share.media.load();
+}
+
+function renderFileShare() {
+  fileShareControls.classList.toggle("hidden", !fileShare);
+  if (!fileShare) return;
+  const { media } = fileShare;
+  fileShareToggleBtn.textContent = media.paused ? "Play" : "Pause";
+  if (Number.isFinite(media.duration)) fileShareSeek.max = String(media.duration);
+  if (document.activeElement !== fileShareSeek) fileShareSeek.value = String(media.currentTime);
+  const duration = Number.isFinite(media.duration) ? media.duration : 0;
+  fileShareTime.textContent = `${formatDuration(media.currentTime * 1000)} / ${formatDuration(duration * 1000)}`;
+}
+
+// Start sharing (the screen, or `file`), or switch source while sharing. Existing connections keep
+// running: tracks are swapped in place and only renegotiated when their number changes.
+async function startSharing(file) {
+  if (role !== "host") return;
+  const switching = !!screenStream;
 
   try {
-    const constraints = getDisplayConstraints();
-    screenStream = await navigator.mediaDevices.getDisplayMedia(constraints);
-
-    if (includeMicEl.checked) {
-      micStream = await navigator.mediaDevices.getUserMedia({
-        audio: {
-          echoCancellation: true,
-          noiseSuppression: true,
-          autoGainControl: true
-        },
-        video: false
-      });
+    let newScreen;
+    let newFileShare = null;
+    if (file) {
+      ({ stream: newScreen, share: newFileShare } = await captureFile(file));
+    } else {
+      newScreen = await navigator.mediaDevices.getDisplayMedia(getDisplayConstraints());
     }
-
+    const captured = newScreen.getVideoTracks()[0];
+    if (captured) captured.contentHint = contentHintEl.value;
+
+    // The previous capture goes; the mic (if any) stays
+    if (screenStream) for (const t of screenStream.getTracks()) t.stop();
+    if (fileShare) releaseFileShare(fileShare);
+    screenStream = newScreen;
+    fileShare = newFileShare;
+    renderFileShare();
+    await syncMic();
+
+    if (playback.source === "file") leaveFilePlayback();
     // Show preview
     videoEl.srcObject = screenStream;
 
@@ -289,32 +830,36 @@ async function startSharing() {
     }
 
     // If the host stops screen-share via browser UI, tear down.
-    const vTrack = screenStream.getVideoTracks()[0];
-    if (vTrack) {
-      vTrack.addEventListener("ended", () => {
-        appendChat({ system: true, message: "Screen share ended." });
+    if (captured) {
+      captured.addEventListener("ended", () => {
+        if (screenVideoTrack() !== captured) return; // replaced by a source switch
+        appendChat({ system: true, message: `${file ? "File" : "Screen"} share ended.` });
         stopSharing();
       });
     }
 
+    // Connections that already exist (source switch, or sharing again after Stop) get the new tracks
+    if (roomMode === "sfu" && !peerConnections[SFU_PEER_ID]) await hostPublishToSfu();
+    else await updateAllSenders();
+
     startShareBtn.classList.add("hidden");
     stopShareBtn.classList.remove("hidden");
+    switchShareBtn.classList.remove("hidden");
+    recordBtn.disabled = false;
+    // A recorder can't change tracks: the new source goes into a new file
+    if (switching && recording) {
+      stopRecording(false);
+      startRecording();
+    }
 
-    setStatus(`Sharing. Waiting for viewers…`);
+    if (file) appendChat({ system: true, message: `Sharing "${file.name}".` });
+    else if (switching) appendChat({ system: true, message: "Switched shared source." });
+    if (!switching) setStatus(`Sharing. Waiting for viewers…`);
     startStats();
-
-    // For any existing viewers (joined before sharing) create offers now
-    // (We don't have roster IDs on client beyond server events; but host will still receive viewer_joined events for new viewers.)
-    // If you restart sharing mid-session, recreate offers for current viewers.
-    for (const viewerId of Object.keys(peerConnections)) {
-      cleanupPeer(viewerId);
-    }
-    // Ask server for roster? Not needed; instead, viewers can refresh, or you can stop/start session.
-    // Practical: viewers joining after you start share will work immediately.
   } catch (err) {
     console.error(err);
-    appendChat({ system: true, message: `Failed to start sharing: ${err.message}` });
-    setStatus("Share failed.");
+    appendChat({ system: true, message: `Failed to ${switching ? "switch source" : "start sharing"}: ${err.message}` });
+    if (!switching) setStatus("Share failed.");
   }
 }
 
@@ -323,6 +868,11 @@ function stopStreams() {
     for (const t of screenStream.getTracks()) t.stop();
     screenStream = null;
   }
+  if (fileShare) {
+    releaseFileShare(fileShare);
+    fileShare = null;
+    renderFileShare();
+  }
   if (micStream) {
     for (const t of micStream.getTracks()) t.stop();
     micStream = null;
@@ -332,229 +882,2115 @@ function stopStreams() {
 function stopSharing() {
   if (role !== "host") return;
 
+  stopRecording(true);
   stopStreams();
-  cleanupAllPeers();
+  // Keep mesh connections: they lose their tracks now and get new ones when sharing starts again
+  if (roomMode === "sfu") cleanupPeer(SFU_PEER_ID);
+  else updateAllSenders().catch((e) => console.error(e));
   stopStats();
 
   startShareBtn.classList.remove("hidden");
   stopShareBtn.classList.add("hidden");
+  switchShareBtn.classList.add("hidden");
+  recordBtn.disabled = true;
   setStatus("Not sharing.");
   videoEl.srcObject = null;
 }
 
-function startStats() {
-  stopStats();
-  statsInterval = setInterval(async () => {
-    try {
-      // Show quick stats for first peer (if any)
-      const ids = Object.keys(peerConnections);
-      if (ids.length === 0) {
-        statsEl.textContent = "";
-        return;
-      }
-      const pc = peerConnections[ids[0]];
-      const stats = await pc.getStats();
-      let out = null, inp = null;
-      stats.forEach((report) => {
-        if (report.type === "outbound-rtp" && report.kind === "video" && report.bytesSent != null) out = report;
-        if (report.type === "inbound-rtp" && report.kind === "video" && report.bytesReceived != null) inp = report;
-      });
-
-      if (role === "host" && out) {
-        statsEl.textContent = `sending to ${ids.length} viewer(s)`;
-      } else if (role === "viewer" && inp) {
-        statsEl.textContent = `receiving`;
-      }
-    } catch {
-      // ignore
-    }
-  }, 1500);
+// --- Recording ------------------------------------------------------------
+// The host records what it sends (screen + mic) with MediaRecorder, in the browser: nothing goes through
+// the server but the notice to viewers. Audio is mixed through WebAudio so the mic can be toggled while
+// recording. Chat that arrives while recording is kept as WebVTT cues timed to the file.
+const RECORDING_TYPES = ["video/webm;codecs=vp9,opus", "video/webm;codecs=vp8,opus", "video/webm"];
+const RECORDING_CUE_MS = 6000; // how long a chat message stays up in the subtitles
+let recording = null; // { recorder, audio, chunks, bytes, startedAt, pausedAt, pausedMs, cues, part, timer }
+let recordingParts = 0;
+
+function recordingElapsedMs(rec) {
+  const pausedNow = rec.pausedAt ? Date.now() - rec.pausedAt : 0;
+  return Date.now() - rec.startedAt - rec.pausedMs - pausedNow;
 }
 
-function stopStats() {
-  if (statsInterval) clearInterval(statsInterval);
-  statsInterval = null;
-  statsEl.textContent = "";
+// One audio track for the recorder: every audio track we send, mixed
+function connectRecordingAudio(rec) {
+  for (const source of rec.audio.sources) source.disconnect();
+  rec.audio.sources = outgoingTracks()
+    .filter((t) => t.kind === "audio")
+    .map((t) => {
+      const source = rec.audio.ctx.createMediaStreamSource(new MediaStream([t]));
+      source.connect(rec.audio.dest);
+      return source;
+    });
 }
 
-function handleWsMessage(raw) {
-  let msg;
-  try { msg = JSON.parse(raw); } catch { return; }
-
-  if (msg.type === "hello") {
-    selfId = msg.id;
+function startRecording() {
+  const video = screenVideoTrack();
+  if (role !== "host" || !video || recording) return;
+  if (typeof MediaRecorder === "undefined") {
+    appendChat({ system: true, message: "This browser can't record (no MediaRecorder)." });
     return;
   }
 
-  if (msg.type === "joined") {
-    setStatus(`Connected as ${msg.role}. Room: ${msg.roomId}`);
-    if (msg.hostId) hostId = msg.hostId;
-    // If we are host and some viewers already joined, remember them.
-    if (role === "host" && Array.isArray(msg.roster)) {
-      for (const m of msg.roster) {
-        if (m && m.role === "viewer" && m.id) pendingViewers.add(m.id);
-      }
-      // If we are already sharing, immediately create offers
-      if (screenStream) {
-        for (const vid of pendingViewers) hostCreateOfferForViewer(vid).catch((e) => console.error(e));
-        pendingViewers.clear();
-      }
-    }
+  const ctx = new AudioContext();
+  const dest = ctx.createMediaStreamDestination();
+  const rec = {
+    audio: { ctx, dest, sources: [] },
+    chunks: [],
+    bytes: 0,
+    startedAt: Date.now(),
+    pausedAt: 0,
+    pausedMs: 0,
+    cues: new Map(), // chat id -> { start, name, message }
+    part: ++recordingParts,
+  };
+  connectRecordingAudio(rec);
+  try {
+    const mimeType = RECORDING_TYPES.find((t) => MediaRecorder.isTypeSupported(t));
+    rec.recorder = new MediaRecorder(new MediaStream([video, ...dest.stream.getAudioTracks()]), mimeType ? { mimeType } : {});
+  } catch (e) {
+    ctx.close();
+    appendChat({ system: true, message: `Recording failed: ${e.message}` });
     return;
   }
+  rec.recorder.addEventListener("dataavailable", (e) => {
+    if (!e.data.size) return;
+    rec.chunks.push(e.data);
+    rec.bytes += e.data.size;
+  });
+  rec.recorder.addEventListener("stop", () => finishRecording(rec));
+  rec.recorder.start(1000);
+  rec.timer = setInterval(renderRecording, 1000);
+  recording = rec;
 
-  if (msg.type === "host_ready") {
-    // Viewer only: host is now online (if you joined early)
-    if (role === "viewer") hostId = msg.hostId;
-    return;
-  }
+  send({ type: "recording", state: "recording" });
+  renderRecording();
+}
 
-  if (msg.type === "viewer_joined") {
-    // Host: create offer for this viewer
-    if (role === "host") {
-      const viewerId = msg.viewerId;
-      const viewerName = msg.viewerName || "Viewer";
-      appendChat({ system: true, message: `${viewerName} connected.` });
-      // Prepare PC if we are currently sharing
-      hostCreateOfferForViewer(viewerId).catch((e) => console.error(e));
-    }
-    return;
+function toggleRecordingPause() {
+  const rec = recording;
+  if (!rec) return;
+  if (rec.pausedAt) {
+    rec.pausedMs += Date.now() - rec.pausedAt;
+    rec.pausedAt = 0;
+    rec.recorder.resume();
+  } else {
+    rec.pausedAt = Date.now();
+    rec.recorder.pause();
   }
+  send({ type: "recording", state: rec.pausedAt ? "paused" : "recording" });
+  renderRecording();
+}
 
-  if (msg.type === "viewer_left") {
-    if (role === "host") {
-      cleanupPeer(msg.viewerId);
-      appendChat({ system: true, message: `Viewer left.` });
-      setStatus(`Sharing. ${Object.keys(peerConnections).length} viewer(s) connected.`);
-    }
-    return;
-  }
+// `notify`: tell the room; not when the file is only being split or we are no longer the host
+function stopRecording(notify) {
+  const rec = recording;
+  if (!rec) return;
+  recording = null;
+  rec.durationMs = recordingElapsedMs(rec);
+  clearInterval(rec.timer);
+  if (rec.recorder.state !== "inactive") rec.recorder.stop();
+  if (notify) send({ type: "recording", state: "stopped" });
+  renderRecording();
+}
 
-  if (msg.type === "host_left") {
-    appendChat({ system: true, message: msg.message || "Host left." });
-    setStatus("Host left. Room closed.");
-    cleanupAllPeers();
-    stopStreams();
-    stopStats();
-    return;
-  }
+// The recorder has flushed its last chunk: offer the video and the chat subtitles for download
+function finishRecording(rec) {
+  rec.audio.ctx.close().catch(() => {});
+  const base = `uwt-${roomId || "session"}-${rec.part}`;
+  const video = URL.createObjectURL(new Blob(rec.chunks, { type: rec.recorder.mimeType || "video/webm" }));
+  const subtitles = URL.createObjectURL(new Blob([chatVtt(rec.cues.values(), rec.durationMs)], { type: "text/vtt" }));
+  const p = document.createElement("p");
+  p.innerHTML = `Recording ${rec.part} (${formatDuration(rec.durationMs)}, ${formatBytes(rec.bytes)}): ` +
+    `<a href="${video}" download="${escapeHtml(base)}.webm">video</a> · ` +
+    `<a href="${subtitles}" download="${escapeHtml(base)}.vtt">chat subtitles</a>`;
+  recordingsEl.appendChild(p);
+}
 
-  if (msg.type === "system") {
-    appendChat({ system: true, message: msg.message });
+function renderRecording() {
+  const rec = recording;
+  recordBtn.classList.toggle("hidden", !!rec);
+  pauseRecordBtn.classList.toggle("hidden", !rec);
+  stopRecordBtn.classList.toggle("hidden", !rec);
+  if (!rec) {
+    recordStatusEl.textContent = "";
     return;
   }
+  pauseRecordBtn.textContent = rec.pausedAt ? "Resume" : "Pause";
+  recordStatusEl.textContent = `${rec.pausedAt ? "Paused" : "● REC"} ${formatDuration(recordingElapsedMs(rec))} · ${formatBytes(rec.bytes)}`;
+}
 
-  if (msg.type === "chat") {
-    appendChat({ name: msg.name || "User", message: msg.message || "" });
-    return;
-  }
+// Chat while recording (not paused) becomes a cue at the current position in the file
+function recordChat(chat) {
+  const rec = recording;
+  if (!rec || rec.pausedAt || !chat.id || rec.cues.has(chat.id)) return;
+  rec.cues.set(chat.id, { start: recordingElapsedMs(rec), name: chat.name || "User", message: chat.message });
+}
 
-  if (msg.type === "signal") {
-    const fromId = msg.from;
-    const data = msg.data || {};
+function recordChatUpdate(chat) {
+  const cue = recording && recording.cues.get(chat.id);
+  if (!cue) return;
+  if (chat.deleted) recording.cues.delete(chat.id);
+  else cue.message = chat.message;
+}
 
-    if (data.description) {
-      const desc = data.description;
-      if (desc.type === "offer" && role === "viewer") {
-        viewerHandleOffer(fromId, desc).catch((e) => console.error(e));
-      } else if (desc.type === "answer" && role === "host") {
-        const pc = peerConnections[fromId];
-        if (!pc) return;
-        pc.setRemoteDescription(desc).catch((e) => console.error(e));
-        setStatus(`Sharing. ${Object.keys(peerConnections).length} viewer(s) connected.`);
-      }
-    }
+function vttTime(ms) {
+  const pad = (n, width = 2) => String(n).padStart(width, "0");
+  return `${pad(Math.floor(ms / 3600000))}:${pad(Math.floor(ms / 60000) % 60)}:${pad(Math.floor(ms / 1000) % 60)}.${pad(ms % 1000, 3)}`;
+}
 
-    if (data.candidate) {
-      handleRemoteCandidate(fromId, data.candidate).catch((e) => console.error(e));
-    }
+// Cue text can't hold blank lines or "-->", and <, > and & are markup
+function vttText(s) {
+  return String(s).replace(/\s*\n\s*/g, " ").replaceAll("&", "&amp;").replaceAll("<", "&lt;").replaceAll(">", "&gt;");
+}
 
-    return;
+function chatVtt(cues, durationMs) {
+  const lines = ["WEBVTT", ""];
+  let n = 0;
+  for (const cue of cues) {
+    const end = Math.max(cue.start + 1, Math.min(cue.start + RECORDING_CUE_MS, durationMs));
+    lines.push(String(++n), `${vttTime(cue.start)} --> ${vttTime(end)}`, `<v ${vttText(cue.name)}>${vttText(cue.message)}`, "");
   }
+  return lines.join("\n");
+}
 
-  if (msg.type === "error") {
-    appendChat({ system: true, message: `Error: ${msg.message}` });
-    setStatus(`Error: ${msg.message}`);
-  }
+function formatDuration(ms) {
+  const total = Math.max(0, Math.floor(ms / 1000));
+  const mmss = `${String(Math.floor(total / 60) % 60).padStart(2, "0")}:${String(total % 60).padStart(2, "0")}`;
+  return total >= 3600 ? `${Math.floor(total / 3600)}:${mmss}` : mmss;
 }
 
-async function joinAs(newRole, rid) {
-  if (!rid) {
-    appendChat({ system: true, message: "Room ID missing." });
-    return;
-  }
+function formatBytes(bytes) {
+  if (bytes >= 1e9) return `${(bytes / 1e9).toFixed(2)} GB`;
+  if (bytes >= 1e6) return `${(bytes / 1e6).toFixed(1)} MB`;
+  return `${Math.round(bytes / 1e3)} kB`;
+}
 
-  const name = (nameEl.value || "").trim() || (newRole === "host" ? "Host" : "Viewer");
+// Everyone: show that the host is recording
+function setRecordingBadge(state) {
+  recBadge.classList.toggle("hidden", !state || state === "stopped");
+  recBadge.classList.toggle("paused", state === "paused");
+  recBadge.textContent = state === "paused" ? "❚❚ REC paused" : "● REC";
+}
 
-  if (!ws || ws.readyState !== WebSocket.OPEN) {
-    setStatus("Connecting…");
-    await connectWs();
-  }
+// --- Synced playback -------------------------------------------------------
+// Instead of a screen share, everyone plays their own copy of the same file (or URL) in videoEl. The host's
+// player is the reference: it reports play/pause/seek/rate to the server, which stamps the state with its
+// clock. Viewers work out where the host is now from that state and a server clock offset (time_sync),
+// then nudge their playback rate to close small gaps and seek for big ones.
+const CLOCK_SAMPLES = 5;
+const CLOCK_RESYNC_MS = 60000;
+const PLAYBACK_SYNC_MS = 500;
+const PLAYBACK_HEARTBEAT_MS = 5000; // host re-anchors the state this often while playing
+const PLAYBACK_REPORT_MIN_MS = 250; // scrubbing fires seeked a lot
+const SEEK_THRESHOLD_S = 1; // further off than this: jump
+const DRIFT_TOLERANCE_S = 0.05; // closer than this: play at the host's rate
+const MAX_RATE_NUDGE = 0.1; // catch up by playing at most 10% faster or slower
+let playback = { source: "screen" }; // room state from the server (Playback in lib/protocol.js)
+let localMedia = null; // { info, url, objectUrl, resume } loaded into videoEl; `info` is the Media we announce
+let remoteStream = null; // viewer: the host's stream, kept while the room plays a file
+let clockOffset = 0; // server clock - Date.now()
+const clockSamples = [];
+let lastPlaybackReport = 0;
+let playbackReportTimer = null;
+
+function serverNow() {
+  return Date.now() + clockOffset;
+}
 
-  setRoleUi(newRole);
+function syncClock() {
+  send({ type: "time_sync", t0: Date.now() });
+}
 
-  roomId = rid;
-  showRoomInfo();
+function startClockSync() {
+  for (let i = 0; i < CLOCK_SAMPLES; i++) setTimeout(syncClock, i * 250);
+}
 
-  send({ type: "join", roomId, role: newRole, name });
+function onTimeSync(msg) {
+  const now = Date.now();
+  clockSamples.push({ rtt: now - msg.t0, offset: msg.serverTime - (msg.t0 + now) / 2 });
+  if (clockSamples.length > CLOCK_SAMPLES) clockSamples.shift();
+  // The fastest round trip leaves the least room for asymmetric delays
+  clockOffset = clockSamples.reduce((best, sample) => (sample.rtt < best.rtt ? sample : best)).offset;
 }
 
-createRoomBtn.addEventListener("click", async () => {
-  try {
-    const rid = await createRoom();
-    await joinAs("host", rid);
-    setStatus(`Room created: ${rid}. Start sharing when ready.`);
-    // Also update URL to keep the room if you refresh
-    const u = new URL(location.href);
-    u.searchParams.set("room", rid);
-    history.replaceState(null, "", u.toString());
-  } catch (e) {
-    console.error(e);
-    setStatus("Failed to create room.");
-  }
-});
+// Where the host's player is now, in seconds
+function expectedPosition(p) {
+  const elapsed = p.paused ? 0 : Math.max(0, (serverNow() - p.at) / 1000) * p.rate;
+  const position = p.position + elapsed;
+  return p.media && p.media.duration ? Math.min(position, p.media.duration) : position;
+}
 
-joinRoomBtn.addEventListener("click", async () => {
-  const rid = roomIdInput.value.trim() || parseUrlRoom();
-  await joinAs("viewer", rid);
-});
+function fileMedia(file) {
+  return { info: { name: file.name.slice(0, 255) || "file", size: file.size }, url: URL.createObjectURL(file), objectUrl: true };
+}
+
+function urlMedia(url) {
+  const name = decodeURIComponent(new URL(url).pathname.split("/").pop() || "") || url;
+  return { info: { name: name.slice(0, 255), url }, url, objectUrl: false };
+}
+
+function loadMedia(media) {
+  unloadMedia();
+  localMedia = media;
+  videoEl.srcObject = null;
+  videoEl.src = media.url;
+  videoEl.muted = false;
+  renderPlaybackUi();
+}
+
+function unloadMedia() {
+  if (!localMedia) return;
+  if (localMedia.objectUrl) URL.revokeObjectURL(localMedia.url);
+  localMedia = null;
+  videoEl.pause();
+  videoEl.removeAttribute("src");
+  videoEl.load();
+  videoEl.playbackRate = 1;
+}
+
+// Room state from the server (joined / playback)
+function applyPlayback(state) {
+  const switched = state.source !== playback.source;
+  playback = state;
+  if (state.source === "screen") {
+    if (switched || localMedia) {
+      unloadMedia();
+      videoEl.muted = role === "host";
+      if (role === "viewer" && remoteStream) {
+        videoEl.srcObject = remoteStream;
+        videoEl.play().catch(() => {});
+      }
+    }
+  } else if (role === "viewer") {
+    const media = state.media;
+    if (media && media.url && (!localMedia || localMedia.url !== media.url)) loadMedia(urlMedia(media.url));
+    else if (switched && !localMedia) videoEl.srcObject = null;
+    syncToPlayback();
+  }
+  renderPlaybackUi();
+}
+
+// Host: announce the switch to a file or URL; the room follows our player from here on.
+// If the room is already playing (we reloaded the page), pick up where it is instead of starting over.
+function hostPlayMedia(media) {
+  if (role !== "host") return;
+  const resume = playback.source === "file" && playback.at ? playback : null;
+  if (screenStream) stopSharing();
+  loadMedia(media);
+  media.resume = resume;
+  playback = resume || { source: "file", media: media.info, paused: true, position: 0, rate: 1 };
+  renderPlaybackUi();
+  if (!resume) reportPlayback();
+}
+
+// Host: the file is ready. Seek to where the room is when resuming; the seek and play report themselves.
+function hostMediaReady() {
+  const resume = localMedia && localMedia.resume;
+  if (!resume) {
+    reportPlayback();
+    return;
+  }
+  localMedia.resume = null;
+  videoEl.playbackRate = resume.rate;
+  videoEl.currentTime = expectedPosition(resume);
+  if (!resume.paused) videoEl.play().catch(() => {});
+}
+
+function leaveFilePlayback() {
+  unloadMedia();
+  videoEl.muted = true;
+  playback = { source: "screen" };
+  send({ type: "playback", source: "screen" });
+  renderPlaybackUi();
+}
+
+function reportPlayback() {
+  if (role !== "host" || playback.source !== "file" || !localMedia || localMedia.resume) return;
+  clearTimeout(playbackReportTimer);
+  const wait = lastPlaybackReport + PLAYBACK_REPORT_MIN_MS - Date.now();
+  if (wait > 0) {
+    playbackReportTimer = setTimeout(reportPlayback, wait);
+    return;
+  }
+  lastPlaybackReport = Date.now();
+  if (Number.isFinite(videoEl.duration)) localMedia.info.duration = videoEl.duration;
+  playback = {
+    source: "file",
+    media: localMedia.info,
+    paused: videoEl.paused,
+    position: videoEl.currentTime,
+    rate: Math.min(4, Math.max(0.25, videoEl.playbackRate)),
+  };
+  send({ type: "playback", ...playback });
+}
+
+// Viewer: follow the host's player
+function syncToPlayback() {
+  const p = playback;
+  if (role !== "viewer" || p.source !== "file" || !localMedia || inLobby || videoEl.readyState < 1) return;
+  const target = expectedPosition(p);
+  const drift = videoEl.currentTime - target;
+
+  if (p.paused) {
+    if (!videoEl.paused) videoEl.pause();
+    if (Math.abs(drift) > DRIFT_TOLERANCE_S) videoEl.currentTime = target;
+    videoEl.playbackRate = p.rate;
+    return;
+  }
+  if (Math.abs(drift) > SEEK_THRESHOLD_S) {
+    videoEl.currentTime = target;
+    videoEl.playbackRate = p.rate;
+  } else if (Math.abs(drift) > DRIFT_TOLERANCE_S) {
+    // Behind: a little faster; ahead: a little slower
+    videoEl.playbackRate = p.rate * (1 - Math.max(-MAX_RATE_NUDGE, Math.min(MAX_RATE_NUDGE, drift)));
+  } else {
+    videoEl.playbackRate = p.rate;
+  }
+  if (videoEl.paused && !videoEl.ended) {
+    videoEl.play().catch(() => setStatus("Click the video to start synced playback."));
+  }
+}
+
+function renderPlaybackUi() {
+  const file = playback.source === "file";
+  const media = playback.media;
+  filePanel.classList.toggle("hidden", !file);
+  backToScreenBtn.classList.toggle("hidden", !file || role !== "host");
+  loadFileBtn.classList.toggle("hidden", !!(media && media.url));
+  if (!file) return;
+
+  let text = `Synced playback${media ? `: ${media.name}` : ""}${media && media.size ? ` (${formatBytes(media.size)})` : ""}`;
+  if (!localMedia) text += role === "host" ? ". Load the file again to keep hosting it." : ". Load your copy to watch along.";
+  else if (media && media.size && localMedia.info.size !== undefined && localMedia.info.size !== media.size) {
+    text += `. Your copy is ${formatBytes(localMedia.info.size)}: it may be a different version.`;
+  }
+  fileInfo.textContent = text;
+}
+
+// --- Call -------------------------------------------------------------------
+// Anyone may join a call with their microphone, and camera if they like, next to the stream. Call media
+// has its own connections (signal channel "call"), so it works the same in mesh and SFU rooms and never
+// renegotiates the share. Someone in the call connects to everyone in the room, since everyone listens;
+// listeners just answer. The host decides whether anyone may talk (roster `callOpen`) or only the viewers
+// it allows (`canTalk`).
+const CALL_AUDIO = { echoCancellation: true, noiseSuppression: true, autoGainControl: true };
+const CALL_CAMERA = { width: { ideal: 320 }, height: { ideal: 240 }, frameRate: { ideal: 15 } };
+const callConnections = {}; // peerId -> RTCPeerConnection on the call channel
+const callStreams = {}; // peerId -> what they send us
+const callVolumes = new Map(); // peerId -> { volume, muted } from their tile
+let callStream = null; // our microphone (+ camera)
+let callWanted = null; // { camera } from Join call to Leave call; asked for again after a reconnect
+let inCall = false; // the roster lists us in the call and we have our media
+let micMuted = false;
+let talkHeld = false; // push to talk
+
+function myEntry() {
+  return [participants.host, ...participants.viewers].find((p) => p && p.id === selfId) || null;
+}
+
+function mayTalk() {
+  const me = myEntry();
+  return role === "host" || participants.callOpen || !!(me && me.canTalk);
+}
+
+async function joinCall() {
+  const camera = callCameraEl.checked;
+  try {
+    await setCallMedia(camera);
+  } catch (e) {
+    appendChat({ system: true, message: `Call: ${e.message}` });
+    return;
+  }
+  callWanted = { camera };
+  send({ type: "call", active: true, camera });
+  renderCallControls();
+}
+
+function leaveCall() {
+  send({ type: "call", active: false });
+  endCall();
+}
+
+// Our call tracks: always the mic, the camera when asked for. Connections pick up the change.
+async function setCallMedia(camera) {
+  if (!callStream) {
+    callStream = await navigator.mediaDevices.getUserMedia({ audio: CALL_AUDIO, video: camera ? CALL_CAMERA : false });
+  } else if (camera && !callStream.getVideoTracks().length) {
+    const cam = await navigator.mediaDevices.getUserMedia({ video: CALL_CAMERA });
+    callStream.addTrack(cam.getVideoTracks()[0]);
+  } else if (!camera) {
+    for (const t of callStream.getVideoTracks()) {
+      t.stop();
+      callStream.removeTrack(t);
+    }
+  }
+  applyMicState();
+  for (const pc of Object.values(callConnections)) syncCallSenders(pc);
+  renderCallTiles();
+}
+
+// Stop sending; connections to people still in the call stay so we keep hearing them
+function endCall() {
+  callWanted = null;
+  inCall = false;
+  if (callStream) for (const t of callStream.getTracks()) t.stop();
+  callStream = null;
+  syncCallConnections();
+  renderCallControls();
+}
+
+// Our socket dropped: so did our place in the call. joined asks for it again (callWanted).
+function dropCallConnections() {
+  inCall = false;
+  for (const id of Object.keys(callConnections)) closeCallConnection(id);
+  renderCallTiles();
+}
+
+// After every roster change: who is in the call decides which connections we need
+function updateCallFromRoster() {
+  const me = myEntry();
+  const listed = !!(me && me.inCall);
+  if (inCall && !listed && callWanted) {
+    // The host took our turn to talk away, or restricted the call
+    endCall();
+    return;
+  }
+  inCall = listed && !!callStream;
+  syncCallConnections();
+  renderCallControls();
+}
+
+function syncCallConnections() {
+  const sending = inCall && !!callStream;
+  const wanted = new Set();
+  for (const p of [participants.host, ...participants.viewers]) {
+    if (!p || !p.id || p.id === selfId || p.away || p.waiting || inLobby) continue;
+    if (sending || p.inCall) wanted.add(p.id);
+  }
+  for (const id of Object.keys(callConnections)) if (!wanted.has(id)) closeCallConnection(id);
+  // Whoever talks calls; listeners answer (both sides talking: perfect negotiation sorts it out)
+  if (sending) {
+    for (const id of wanted) {
+      // Runs again once it's open, in case the roster moved on while the ICE servers loaded
+      if (!callConnections[id]) openCallConnection(id).then(syncCallConnections, (e) => console.error(e));
+    }
+  }
+  for (const pc of Object.values(callConnections)) syncCallSenders(pc);
+  renderCallTiles();
+}
+
+async function openCallConnection(peerId) {
+  await loadIceConfig();
+  // An offer from that peer may have opened it meanwhile
+  if (callConnections[peerId]) return callConnections[peerId];
+  const pc = makePeerConnection(peerId, { polite: selfId > peerId, channel: "call" });
+  callConnections[peerId] = pc;
+  syncCallSenders(pc);
+  return pc;
+}
+
+function closeCallConnection(peerId) {
+  try { callConnections[peerId].close(); } catch {}
+  delete callConnections[peerId];
+  delete callStreams[peerId];
+}
+
+// Adding or removing tracks fires negotiationneeded, which renegotiates
+function syncCallSenders(pc) {
+  const tracks = inCall && callStream ? callStream.getTracks() : [];
+  for (const sender of pc.getSenders()) if (sender.track && !tracks.includes(sender.track)) pc.removeTrack(sender);
+  const sent = pc.getSenders().map((sender) => sender.track);
+  for (const track of tracks) if (!sent.includes(track)) pc.addTrack(track, callStream);
+}
+
+async function handleCallDescription(fromId, description) {
+  let pc = callConnections[fromId];
+  if (!pc && description.type === "offer") pc = await openCallConnection(fromId);
+  if (pc) await applyRemoteDescription(pc, fromId, description, "call");
+}
+
+function showCallStream(peerId, stream) {
+  if (!stream) return;
+  callStreams[peerId] = stream;
+  // Cameras come and go without a new stream
+  stream.onaddtrack = () => renderCallTiles();
+  stream.onremovetrack = () => renderCallTiles();
+  renderCallTiles();
+}
+
+function applyMicState() {
+  const live = !micMuted && (!pushToTalkEl.checked || talkHeld);
+  if (callStream) for (const t of callStream.getAudioTracks()) t.enabled = live;
+  callTilesEl.querySelector(".tile.self")?.classList.toggle("talking", inCall && live);
+  renderCallControls();
+}
+
+function setTalkHeld(held) {
+  if (talkHeld === held) return;
+  talkHeld = held;
+  applyMicState();
+}
+
+// Small tiles over the video: us (camera preview) and everyone in the call we receive
+function renderCallTiles() {
+  const tiles = [];
+  if (inCall && callStream) tiles.push({ id: selfId, name: "You", stream: callStream, self: true });
+  for (const p of [participants.host, ...participants.viewers]) {
+    if (p && p.inCall && p.id !== selfId && callStreams[p.id]) tiles.push({ id: p.id, name: p.name, stream: callStreams[p.id] });
+  }
+
+  const existing = new Map([...callTilesEl.children].map((tile) => [tile.dataset.id, tile]));
+  for (const t of tiles) {
+    let tile = existing.get(t.id);
+    existing.delete(t.id);
+    if (!tile) {
+      tile = document.createElement("div");
+      tile.className = t.self ? "tile self" : "tile";
+      tile.dataset.id = t.id;
+      tile.innerHTML = `<video autoplay playsinline></video><div class="tileBar"><span class="tileName"></span>` +
+        (t.self ? "" : `<input type="range" min="0" max="1" step="0.05" title="Volume"/><button title="Mute">🔊</button>`) +
+        `</div>`;
+      callTilesEl.appendChild(tile);
+    }
+    const video = tile.querySelector("video");
+    if (video.srcObject !== t.stream) {
+      video.srcObject = t.stream;
+      video.play().catch(() => {});
+    }
+    tile.classList.toggle("noVideo", !t.stream.getVideoTracks().length);
+    tile.querySelector(".tileName").textContent = t.name || "User";
+    if (t.self) video.muted = true;
+    else applyTileVolume(tile);
+  }
+  for (const tile of existing.values()) tile.remove();
+}
+
+function applyTileVolume(tile) {
+  const { volume, muted } = callVolumes.get(tile.dataset.id) || { volume: 1, muted: false };
+  const video = tile.querySelector("video");
+  video.volume = volume;
+  video.muted = muted;
+  tile.querySelector("input").value = String(volume);
+  tile.querySelector("button").textContent = muted ? "🔇" : "🔊";
+}
+
+function renderCallControls() {
+  callControls.classList.toggle("hidden", !roomId || !role || inLobby);
+  const joined = !!callWanted;
+  const allowed = mayTalk();
+  joinCallBtn.classList.toggle("hidden", joined);
+  joinCallBtn.disabled = !allowed;
+  leaveCallBtn.classList.toggle("hidden", !joined);
+  callMicBtn.classList.toggle("hidden", !joined || pushToTalkEl.checked);
+  callMicBtn.textContent = micMuted ? "Unmute mic" : "Mute mic";
+  talkBtn.classList.toggle("hidden", !joined || !pushToTalkEl.checked);
+  talkBtn.classList.toggle("primary", talkHeld);
+  if (!allowed && !joined) callInfo.textContent = "The host decides who may talk.";
+  else if (joined && !inCall) callInfo.textContent = "Joining the call…";
+  else callInfo.textContent = "";
+}
+
+// --- Annotations ------------------------------------------------------------
+// A canvas over the video where anyone can point (a dot with their name) or draw strokes and arrows that
+// fade after a few seconds. Positions are fractions of the video picture itself, letterboxing excluded,
+// so they land on the same spot in every window. Events travel over an "annotations" DataChannel on
+// the stream connections: viewers send to the host, which checks them, labels them with the sender and
+// passes them on to the other viewers. SFU rooms have no connection between host and viewers, so no
+// annotations there. The host can turn them off.
+const ANNOTATION_TTL_MS = 5000; // a finished stroke or arrow
+const POINTER_TTL_MS = 3000; // a pointer that stopped moving
+const STROKE_IDLE_MS = 10000; // an unfinished stroke whose author went quiet
+const MAX_STROKE_POINTS = 400;
+const ANNOTATION_SEND_MS = 40; // pointer and stroke updates, at most
+const annotationChannels = {}; // peerId -> RTCDataChannel on the stream connection (a viewer has just the host)
+const annotations = new Map(); // "<from>:<stroke id | pointer>" -> { from, name, tool, points, until }
+let annotationsEnabled = true; // the host's switch
+let annotateTool = null; // "pointer" | "pen" | "arrow" while annotating
+let drawing = null; // { id, tool, points } while we draw
+let strokeSeq = 0;
+let lastAnnotationSent = 0;
+let annotationFrame = 0;
+
+function attachAnnotationChannel(peerId, channel) {
+  annotationChannels[peerId] = channel;
+  channel.onopen = () => {
+    if (role === "host") channel.send(JSON.stringify({ type: "state", enabled: annotationsEnabled }));
+    renderAnnotationUi();
+  };
+  channel.onclose = () => {
+    if (annotationChannels[peerId] === channel) delete annotationChannels[peerId];
+    renderAnnotationUi();
+  };
+  channel.onmessage = (event) => receiveAnnotation(peerId, event.data);
+}
+
+function receiveAnnotation(peerId, raw) {
+  let event;
+  try {
+    event = JSON.parse(raw);
+  } catch {
+    return;
+  }
+  if (!event || typeof event !== "object") return;
+
+  if (role === "host") {
+    // A viewer's pointer or stroke: it's labelled here, so nobody can speak for someone else
+    if (!annotationsEnabled) return;
+    const clean = checkAnnotation(event);
+    if (!clean) return;
+    const labelled = { ...clean, from: peerId, name: viewerNames.get(peerId) || "Viewer" };
+    showAnnotation(labelled);
+    relayAnnotation(labelled, peerId);
+    return;
+  }
+
+  // From the host: its own and other viewers' annotations, and its switch
+  if (event.type === "state") return setAnnotationsEnabled(!!event.enabled);
+  if (event.type === "clear") return clearAnnotations();
+  const clean = checkAnnotation(event);
+  if (clean && typeof event.from === "string") showAnnotation({ ...clean, from: event.from, name: String(event.name || "").slice(0, 40) });
+}
+
+// Only well-formed pointers and strokes get through, with their coordinates inside the picture
+function checkAnnotation(event) {
+  const inside = (v) => typeof v === "number" && v >= 0 && v <= 1;
+  if (event.type === "pointer") {
+    if (event.x === null) return { type: "pointer", x: null, y: null };
+    return inside(event.x) && inside(event.y) ? { type: "pointer", x: event.x, y: event.y } : null;
+  }
+  if (event.type === "stroke") {
+    if (!["pen", "arrow"].includes(event.tool) || !Number.isInteger(event.id) || !Array.isArray(event.points)) return null;
+    const points = event.points.slice(0, MAX_STROKE_POINTS);
+    if (!points.length || !points.every((p) => Array.isArray(p) && inside(p[0]) && inside(p[1]))) return null;
+    return { type: "stroke", id: event.id, tool: event.tool, points: points.map(([x, y]) => [x, y]), done: !!event.done };
+  }
+  return null;
+}
+
+function showAnnotation(event) {
+  const now = Date.now();
+  if (event.type === "pointer") {
+    const key = `${event.from}:pointer`;
+    if (event.x === null) annotations.delete(key);
+    else annotations.set(key, { from: event.from, name: event.name, tool: "pointer", points: [[event.x, event.y]], until: now + POINTER_TTL_MS });
+  } else {
+    annotations.set(`${event.from}:${event.id}`, {
+      from: event.from,
+      name: event.name,
+      tool: event.tool,
+      points: event.points,
+      until: now + (event.done ? ANNOTATION_TTL_MS : STROKE_IDLE_MS),
+    });
+  }
+  scheduleAnnotationFrame();
+}
+
+function relayAnnotation(event, exceptId) {
+  const data = JSON.stringify(event);
+  for (const [peerId, channel] of Object.entries(annotationChannels)) {
+    if (peerId !== exceptId && channel.readyState === "open") channel.send(data);
+  }
+}
+
+// Ours: drawn here and sent to the host (or, as the host, to every viewer). `force` skips the throttle.
+function emitAnnotation(event, force = false) {
+  const now = Date.now();
+  if (!force && now - lastAnnotationSent < ANNOTATION_SEND_MS) return;
+  lastAnnotationSent = now;
+  showAnnotation({ ...event, from: selfId, name: "You" });
+  if (role === "host") relayAnnotation({ ...event, from: selfId, name: myName() });
+  else relayAnnotation(event);
+}
+
+function myName() {
+  const me = myEntry();
+  return (me && me.name) || "Host";
+}
+
+function clearAnnotations() {
+  annotations.clear();
+  drawing = null;
+  scheduleAnnotationFrame();
+}
+
+function setAnnotationsEnabled(enabled) {
+  annotationsEnabled = enabled;
+  if (!enabled) {
+    clearAnnotations();
+    setAnnotateTool(null);
+  }
+  renderAnnotationUi();
+}
+
+function setAnnotateTool(tool) {
+  if (annotateTool === "pointer" && tool !== "pointer") emitAnnotation({ type: "pointer", x: null, y: null }, true);
+  annotateTool = tool;
+  annotationCanvas.classList.toggle("active", !!tool);
+  for (const btn of toolButtons) btn.classList.toggle("primary", btn.dataset.tool === tool);
+}
+
+function renderAnnotationUi() {
+  annotationBar.classList.toggle("hidden", !roomId || !role || inLobby);
+  const host = role === "host";
+  annotationsToggleLabel.classList.toggle("hidden", !host);
+  clearAnnotationsBtn.classList.toggle("hidden", !host);
+  annotationsToggle.checked = annotationsEnabled;
+
+  const connected = Object.values(annotationChannels).some((channel) => channel.readyState === "open");
+  let reason = "";
+  if (roomMode === "sfu") reason = "Annotations need a mesh room.";
+  else if (!annotationsEnabled) reason = host ? "" : "The host turned annotations off.";
+  else if (!connected) reason = host ? "Viewers can annotate once they get the stream." : "Annotations start with the stream.";
+  annotationInfo.textContent = reason;
+
+  const usable = roomMode !== "sfu" && annotationsEnabled && (host || connected);
+  for (const btn of toolButtons) btn.disabled = !usable;
+  if (!usable && annotateTool) setAnnotateTool(null);
+}
+
+// Where the picture is inside the canvas: the video element letterboxes it (object-fit: contain)
+function videoBox() {
+  const vw = videoEl.videoWidth;
+  const vh = videoEl.videoHeight;
+  const r = videoEl.getBoundingClientRect();
+  if (!vw || !vh || !r.width || !r.height) return null;
+  const origin = annotationCanvas.getBoundingClientRect();
+  const scale = Math.min(r.width / vw, r.height / vh);
+  const width = vw * scale;
+  const height = vh * scale;
+  return { left: r.left - origin.left + (r.width - width) / 2, top: r.top - origin.top + (r.height - height) / 2, width, height };
+}
+
+function annotationPoint(e) {
+  const box = videoBox();
+  if (!box) return null;
+  const origin = annotationCanvas.getBoundingClientRect();
+  const clamp = (v) => Math.round(Math.min(1, Math.max(0, v)) * 10000) / 10000;
+  return [clamp((e.clientX - origin.left - box.left) / box.width), clamp((e.clientY - origin.top - box.top) / box.height)];
+}
+
+function annotationColor(id) {
+  let hue = 0;
+  for (const c of String(id)) hue = (hue * 31 + c.charCodeAt(0)) % 360;
+  return `hsl(${hue} 85% 60%)`;
+}
+
+function scheduleAnnotationFrame() {
+  if (!annotationFrame) annotationFrame = requestAnimationFrame(drawAnnotations);
+}
+
+// Redrawn every frame while anything is showing, so fades and resizes just work
+function drawAnnotations() {
+  annotationFrame = 0;
+  const now = Date.now();
+  for (const [key, a] of annotations) if (a.until <= now) annotations.delete(key);
+
+  const dpr = window.devicePixelRatio || 1;
+  const width = Math.round(annotationCanvas.clientWidth * dpr);
+  const height = Math.round(annotationCanvas.clientHeight * dpr);
+  if (annotationCanvas.width !== width || annotationCanvas.height !== height) {
+    annotationCanvas.width = width;
+    annotationCanvas.height = height;
+  }
+  const ctx = annotationCanvas.getContext("2d");
+  ctx.setTransform(1, 0, 0, 1, 0, 0);
+  ctx.clearRect(0, 0, width, height);
+
+  const box = videoBox();
+  if (box) {
+    ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+    for (const a of annotations.values()) drawAnnotation(ctx, box, a, now);
+  }
+  if (annotations.size) scheduleAnnotationFrame();
+}
+
+function drawAnnotation(ctx, box, a, now) {
+  const points = a.points.map(([x, y]) => [box.left + x * box.width, box.top + y * box.height]);
+  const color = annotationColor(a.from);
+  ctx.globalAlpha = Math.min(1, (a.until - now) / 1000); // fade out over the last second
+  ctx.strokeStyle = color;
+  ctx.fillStyle = color;
+  ctx.lineWidth = 3;
+  ctx.lineCap = "round";
+  ctx.lineJoin = "round";
+
+  if (a.tool === "pointer") {
+    const [x, y] = points[0];
+    ctx.beginPath();
+    ctx.arc(x, y, 6, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.font = "12px system-ui, sans-serif";
+    const label = a.name || "";
+    const w = ctx.measureText(label).width + 8;
+    ctx.fillStyle = "rgba(0,0,0,.65)";
+    ctx.fillRect(x + 10, y + 6, w, 18);
+    ctx.fillStyle = color;
+    ctx.fillText(label, x + 14, y + 19);
+  } else if (a.tool === "pen") {
+    ctx.beginPath();
+    points.forEach(([x, y], i) => (i ? ctx.lineTo(x, y) : ctx.moveTo(x, y)));
+    if (points.length === 1) ctx.lineTo(points[0][0] + 0.1, points[0][1]);
+    ctx.stroke();
+  } else if (a.tool === "arrow" && points.length > 1) {
+    const [x0, y0] = points[0];
+    const [x1, y1] = points[points.length - 1];
+    const angle = Math.atan2(y1 - y0, x1 - x0);
+    ctx.beginPath();
+    ctx.moveTo(x0, y0);
+    ctx.lineTo(x1, y1);
+    ctx.stroke();
+    ctx.beginPath();
+    ctx.moveTo(x1, y1);
+    ctx.lineTo(x1 - 14 * Math.cos(angle - 0.45), y1 - 14 * Math.sin(angle - 0.45));
+    ctx.lineTo(x1 - 14 * Math.cos(angle + 0.45), y1 - 14 * Math.sin(angle + 0.45));
+    ctx.closePath();
+    ctx.fill();
+  }
+  ctx.globalAlpha = 1;
+}
+
+// --- Latency ----------------------------------------------------------------
+// A glass-to-glass estimate, host capture to viewer screen. Every second the host sends each viewer a probe
+// on an unreliable "latency" DataChannel of the stream connection, stamped with the server clock (time_sync,
+// see Synced playback), with how long its frames take from capture to its own preview and to encode. The
+// viewer adds the probe's one-way trip, which takes the media's network path, and its jitter buffer and
+// decode times from getStats(). Mesh rooms only, like annotations.
+// Viewers pick how much the jitter buffer may hold: jitterBufferTarget (playoutDelayHint in older Chrome).
+const LATENCY_PROBE_MS = 1000;
+const LATENCY_SAMPLES = 5; // trips; their median evens out clock sync noise
+const PLAYOUT_TARGETS_MS = { low: 0, auto: null, smooth: 500 }; // null: the browser decides
+const PLAYOUT_STORAGE_KEY = "uwt.playout";
+const latencyChannels = {}; // peerId -> RTCDataChannel on the stream connection
+const encodeTimes = {}; // host: viewerId -> ms per frame
+const tripSamples = [];
+let captureDelayMs = null; // host: capture to preview, from requestVideoFrameCallback
+let watchingCapture = false;
+let receiveTimes = null; // viewer: { bufferMs, decodeMs } from the last stats sample
+let latency = null; // viewer: { captureMs, encodeMs, networkMs, bufferMs, decodeMs, totalMs, at }
+let playoutMode = loadPlayoutMode();
+
+function loadPlayoutMode() {
+  try {
+    const mode = localStorage.getItem(PLAYOUT_STORAGE_KEY);
+    return mode in PLAYOUT_TARGETS_MS ? mode : "auto";
+  } catch {
+    return "auto";
+  }
+}
+
+function attachLatencyChannel(peerId, channel) {
+  latencyChannels[peerId] = channel;
+  channel.onclose = () => {
+    if (latencyChannels[peerId] === channel) delete latencyChannels[peerId];
+  };
+  channel.onmessage = (event) => onLatencyProbe(event.data);
+}
+
+function sendLatencyProbes() {
+  if (role !== "host" || !screenStream) return;
+  watchCaptureDelay();
+  for (const [peerId, channel] of Object.entries(latencyChannels)) {
+    if (channel.readyState !== "open") continue;
+    const encodeMs = encodeTimes[peerId] != null ? encodeTimes[peerId] : null;
+    channel.send(JSON.stringify({ sentAt: serverNow(), captureMs: captureDelayMs, encodeMs }));
+  }
+}
+
+// Frames of a live capture carry their capture time; previewing one shows how old it is by then
+function watchCaptureDelay() {
+  if (watchingCapture || !videoEl.requestVideoFrameCallback) return;
+  watchingCapture = true;
+  const onFrame = (now, frame) => {
+    captureDelayMs = role === "host" && frame.captureTime ? Math.max(0, frame.expectedDisplayTime - frame.captureTime) : null;
+    videoEl.requestVideoFrameCallback(onFrame);
+  };
+  videoEl.requestVideoFrameCallback(onFrame);
+}
+
+function onLatencyProbe(raw) {
+  let probe;
+  try {
+    probe = JSON.parse(raw);
+  } catch {
+    return;
+  }
+  if (role !== "viewer" || !probe || typeof probe.sentAt !== "number") return;
+
+  tripSamples.push(Math.max(0, serverNow() - probe.sentAt));
+  if (tripSamples.length > LATENCY_SAMPLES) tripSamples.shift();
+  const sorted = [...tripSamples].sort((a, b) => a - b);
+  const ms = (v) => (typeof v === "number" && Number.isFinite(v) && v >= 0 ? v : null);
+
+  const parts = {
+    captureMs: ms(probe.captureMs),
+    encodeMs: ms(probe.encodeMs),
+    networkMs: sorted[Math.floor(sorted.length / 2)],
+    bufferMs: receiveTimes ? ms(receiveTimes.bufferMs) : null,
+    decodeMs: receiveTimes ? ms(receiveTimes.decodeMs) : null,
+  };
+  latency = { ...parts, totalMs: Object.values(parts).reduce((sum, v) => sum + (v || 0), 0), at: Date.now() };
+  renderLatencyUi();
+}
+
+function applyPlayoutMode(pc) {
+  const target = PLAYOUT_TARGETS_MS[playoutMode];
+  for (const receiver of pc.getReceivers()) {
+    if ("jitterBufferTarget" in receiver) receiver.jitterBufferTarget = target;
+    else if ("playoutDelayHint" in receiver) receiver.playoutDelayHint = target === null ? null : target / 1000;
+  }
+}
+
+function renderLatencyUi() {
+  latencyRow.classList.toggle("hidden", role !== "viewer" || !roomId || inLobby);
+  playoutModeEl.value = playoutMode;
+  // Probes stopped: the host stopped sharing or the connection went
+  if (latency && Date.now() - latency.at > 3 * LATENCY_PROBE_MS) latency = null;
+  if (!latency) {
+    latencyInfo.textContent = roomMode === "sfu" ? "Latency is measured in mesh rooms." : "";
+    return;
+  }
+  const steps = [["capture", latency.captureMs], ["encode", latency.encodeMs], ["network", latency.networkMs], ["buffer", latency.bufferMs], ["decode", latency.decodeMs]]
+    .filter(([, v]) => v != null)
+    .map(([name, v]) => `${name} ${Math.round(v)}`);
+  latencyInfo.textContent = `≈ ${Math.round(latency.totalMs)} ms glass to glass (${steps.join(" · ")})`;
+}
+
+// Stats: per-peer numbers computed from getStats() deltas every STATS_INTERVAL_MS.
+// Viewers also report theirs to the host, which shows one row per viewer.
+const STATS_INTERVAL_MS = 1500;
+const STATS_REPORT_EVERY = 2; // viewers report every 2nd sample
+const statsPrev = {}; // peerId -> previous raw counters
+const viewerReports = new Map(); // host: viewerId -> { stats, at }
+const viewerNames = new Map(); // host: viewerId -> name
+let participants = { host: null, hostReconnecting: false, waitingRoom: false, callOpen: true, viewers: [] }; // latest roster from the server
+let statsTicks = 0;
+
+function summarizeStats(peerId, report) {
+  let out = null, inb = null, remoteIn = null, pair = null, selectedPairId = null;
+  report.forEach((r) => {
+    if (r.type === "outbound-rtp" && r.kind === "video" && (!out || r.bytesSent > out.bytesSent)) out = r;
+    if (r.type === "inbound-rtp" && r.kind === "video") inb = r;
+    if (r.type === "remote-inbound-rtp" && r.kind === "video") remoteIn = r;
+    if (r.type === "transport" && r.selectedCandidatePairId) selectedPairId = r.selectedCandidatePairId;
+    if (r.type === "candidate-pair" && r.nominated && r.state === "succeeded" && !pair) pair = r;
+  });
+  if (selectedPairId && report.get(selectedPairId)) pair = report.get(selectedPairId);
+
+  const rtp = out || inb;
+  if (!rtp) return null;
+
+  const prev = statsPrev[peerId];
+  const bytes = out ? out.bytesSent : inb.bytesReceived;
+  const frames = out ? out.framesEncoded : inb.framesDecoded;
+  const lost = inb ? inb.packetsLost || 0 : 0;
+  const received = inb ? inb.packetsReceived || 0 : 0;
+  // Cumulative seconds, for the per-frame times the latency estimate adds up
+  const encodeTime = out ? out.totalEncodeTime : null;
+  const decodeTime = inb ? inb.totalDecodeTime : null;
+  const bufferDelay = inb ? inb.jitterBufferDelay : null;
+  const emitted = inb ? inb.jitterBufferEmittedCount : null;
+  statsPrev[peerId] = { ts: rtp.timestamp, bytes, frames, lost, received, encodeTime, decodeTime, bufferDelay, emitted };
+
+  const s = {
+    direction: out ? "send" : "recv",
+    width: rtp.frameWidth || 0,
+    height: rtp.frameHeight || 0,
+    fps: rtp.framesPerSecond || 0,
+    bitrateKbps: 0,
+    rttMs: null,
+    jitterMs: null,
+    lossPct: null,
+    candidateType: null,
+    encodeMs: null,
+    decodeMs: null,
+    bufferMs: null,
+  };
+
+  if (prev && rtp.timestamp > prev.ts) {
+    const dt = rtp.timestamp - prev.ts; // ms
+    s.bitrateKbps = Math.max(0, Math.round(((bytes - prev.bytes) * 8) / dt));
+    if (!s.fps && frames != null && prev.frames != null) s.fps = Math.round(((frames - prev.frames) * 1000) / dt);
+    if (inb) {
+      const dLost = Math.max(0, lost - prev.lost);
+      const dRecv = Math.max(0, received - prev.received);
+      s.lossPct = dLost + dRecv ? (100 * dLost) / (dLost + dRecv) : 0;
+    }
+    s.encodeMs = perFrameMs(encodeTime, prev.encodeTime, frames, prev.frames);
+    s.decodeMs = perFrameMs(decodeTime, prev.decodeTime, frames, prev.frames);
+    s.bufferMs = perFrameMs(bufferDelay, prev.bufferDelay, emitted, prev.emitted);
+  }
+
+  if (remoteIn) {
+    if (remoteIn.roundTripTime != null) s.rttMs = remoteIn.roundTripTime * 1000;
+    if (remoteIn.jitter != null) s.jitterMs = remoteIn.jitter * 1000;
+    if (remoteIn.fractionLost != null) s.lossPct = remoteIn.fractionLost * 100;
+  }
+  if (inb && inb.jitter != null) s.jitterMs = inb.jitter * 1000;
+  if (pair) {
+    if (s.rttMs == null && pair.currentRoundTripTime != null) s.rttMs = pair.currentRoundTripTime * 1000;
+    const local = report.get(pair.localCandidateId);
+    const remote = report.get(pair.remoteCandidateId);
+    // "relay" on either end means the media goes through TURN
+    const types = [local && local.candidateType, remote && remote.candidateType];
+    s.candidateType = types.includes("relay") ? "relay" : types.includes("srflx") || types.includes("prflx") ? "srflx" : types[0] || null;
+  }
+  return s;
+}
+
+// Average milliseconds per frame over the last interval, from a cumulative total in seconds
+function perFrameMs(total, prevTotal, count, prevCount) {
+  if (total == null || prevTotal == null || count == null || prevCount == null || count <= prevCount) return null;
+  return ((total - prevTotal) * 1000) / (count - prevCount);
+}
+
+function fmtStats(s) {
+  if (!s) return "–";
+  const parts = [`${s.bitrateKbps} kbps`, `${s.fps} fps`];
+  if (s.width) parts.push(`${s.width}x${s.height}`);
+  if (s.rttMs != null) parts.push(`rtt ${Math.round(s.rttMs)} ms`);
+  if (s.jitterMs != null) parts.push(`jitter ${Math.round(s.jitterMs)} ms`);
+  if (s.lossPct != null) parts.push(`loss ${s.lossPct.toFixed(1)}%`);
+  if (s.candidateType) parts.push(s.candidateType);
+  if (s.latencyMs != null) parts.push(`latency ${Math.round(s.latencyMs)} ms`);
+  return parts.join(" · ");
+}
+
+// Somebody is struggling: noticeable loss or a slow round trip
+function statsLookBad(s) {
+  return !!s && ((s.lossPct != null && s.lossPct > 2) || (s.rttMs != null && s.rttMs > 300));
+}
+
+function renderStatsPanel(rows) {
+  statsBody.textContent = "";
+  for (const row of rows) {
+    const tr = document.createElement("tr");
+    if (statsLookBad(row.local) || statsLookBad(row.remote)) tr.className = "bad";
+    for (const text of [row.name, fmtStats(row.local), fmtStats(row.remote)]) {
+      const td = document.createElement("td");
+      td.textContent = text;
+      tr.appendChild(td);
+    }
+    statsBody.appendChild(tr);
+  }
+  statsPanel.classList.toggle("hidden", rows.length === 0);
+}
+
+async function sampleStats() {
+  statsTicks++;
+  const local = {};
+  for (const [peerId, pc] of Object.entries(peerConnections)) {
+    try {
+      local[peerId] = summarizeStats(peerId, await pc.getStats());
+    } catch {
+      local[peerId] = null;
+    }
+  }
+
+  if (role === "host") {
+    for (const [id, s] of Object.entries(local)) encodeTimes[id] = s ? s.encodeMs : null;
+    const ids = new Set([...Object.keys(local), ...viewerReports.keys()]);
+    const rows = [];
+    for (const id of ids) {
+      let name = id === SFU_PEER_ID ? "SFU relay" : viewerNames.get(id) || "Viewer";
+      const report = viewerReports.get(id);
+      const remote = report ? report.stats : null;
+      adaptEncoding(id, local[id], remote);
+      const enc = encodingState[id];
+      if (enc && (enc.bitrateKbps < targetBitrateKbps() || enc.scale > 1)) {
+        name += ` (capped ${enc.bitrateKbps} kbps${enc.scale > 1 ? `, 1/${enc.scale.toFixed(1)} res` : ""})`;
+      }
+      rows.push({ name, local: local[id] || null, remote });
+    }
+    statsHeadLocal.textContent = "You send";
+    statsHeadRemote.textContent = "They receive";
+    renderStatsPanel(rows);
+    const count = [...ids].filter((id) => id !== SFU_PEER_ID).length;
+    statsEl.textContent = count ? `sending to ${count} viewer(s)` : "";
+  } else if (role === "viewer") {
+    const [peerId] = Object.keys(local);
+    const mine = peerId ? local[peerId] : null;
+    if (mine) {
+      receiveTimes = { bufferMs: mine.bufferMs, decodeMs: mine.decodeMs };
+      mine.latencyMs = latency ? Math.round(latency.totalMs) : null;
+    }
+    statsHeadLocal.textContent = "You receive";
+    statsHeadRemote.textContent = "";
+    renderStatsPanel(mine ? [{ name: "Host stream", local: mine, remote: null }] : []);
+    statsEl.textContent = mine ? fmtStats(mine) : "";
+    if (mine && statsTicks % STATS_REPORT_EVERY === 0) send({ type: "stats", stats: mine });
+  }
+}
+
+function startStats() {
+  if (statsInterval) return;
+  statsInterval = setInterval(() => sampleStats().catch(() => {}), STATS_INTERVAL_MS);
+}
+
+function stopStats() {
+  if (statsInterval) clearInterval(statsInterval);
+  statsInterval = null;
+  statsEl.textContent = "";
+  for (const id of Object.keys(statsPrev)) delete statsPrev[id];
+  viewerReports.clear();
+  renderStatsPanel([]);
+}
+
+// Errors that end the session: stop reconnecting and show the message
+const FATAL_ERRORS = new Set(Object.keys(ERRORS).filter((code) => ERRORS[code].fatal));
+let inLobby = false; // viewer: in the waiting room, no stream until the host lets us in
+
+// Host only: how the WebRTC side of a viewer is doing
+function viewerLinkState(viewerId) {
+  if (roomMode === "sfu") {
+    const report = viewerReports.get(viewerId);
+    return report && Date.now() - report.at < 10000 ? "receiving via relay" : "waiting for relay";
+  }
+  const pc = peerConnections[viewerId];
+  if (pc) return pc.connectionState;
+  return screenStream ? "no connection" : "not sharing";
+}
+
+// Everyone sees who is in the room; the host also gets connection states and moderation buttons
+function renderParticipants() {
+  peoplePanel.classList.toggle("hidden", !roomId);
+  participantListEl.innerHTML = "";
+
+  const rows = [];
+  const waitingCount = participants.viewers.filter((v) => v.waiting).length;
+  lobbyControls.classList.toggle("hidden", role !== "host");
+  waitingRoomToggle.checked = participants.waitingRoom;
+  callOpenToggle.checked = participants.callOpen;
+  admitAllBtn.classList.toggle("hidden", !waitingCount);
+  admitAllBtn.textContent = `Admit all (${waitingCount})`;
+
+  if (participants.host) rows.push({ ...participants.host, role: "host" });
+  else if (participants.hostReconnecting) rows.push({ name: "Host", role: "host", away: true });
+  for (const v of participants.viewers) rows.push({ ...v, role: "viewer" });
+
+  for (const p of rows) {
+    const li = document.createElement("li");
+    if (p.id) li.dataset.id = p.id;
+    const you = p.id === selfId ? " (you)" : "";
+    const tags = [p.role];
+    if (p.waiting) tags.push("waiting");
+    if (p.muted) tags.push("muted");
+    if (p.inCall) tags.push(p.camera ? "in call (camera)" : "in call");
+    else if (p.canTalk) tags.push("may talk");
+    let html =
+      `<span class="pname">${escapeHtml(p.name || "User")}${you}</span>` +
+      `<span class="small">${tags.join(", ")}</span>` +
+      `<span class="small${p.away ? " away" : ""}">${p.away ? "reconnecting" : "online"}</span>`;
+    if (role === "host" && p.role === "viewer" && !p.away && !p.waiting) {
+      html += `<span class="small mono">${escapeHtml(viewerLinkState(p.id))}</span>`;
+    }
+    if (role === "host" && p.waiting) {
+      html +=
+        `<button class="btn small primary" data-action="admit">Admit</button>` +
+        `<button class="btn small" data-action="kick">Kick</button>` +
+        `<button class="btn small danger" data-action="ban">Ban</button>`;
+    } else if (role === "host" && p.role === "viewer") {
+      if (!participants.callOpen) {
+        html += `<button class="btn small" data-action="talk">${p.canTalk ? "Stop talking" : "Allow to talk"}</button>`;
+      }
+      html +=
+        `<button class="btn small" data-action="mute">${p.muted ? "Unmute" : "Mute"}</button>` +
+        `<button class="btn small" data-action="kick">Kick</button>` +
+        `<button class="btn small danger" data-action="ban">Ban</button>` +
+        `<button class="btn small" data-action="transfer">Make host</button>`;
+    }
+    li.innerHTML = html;
+    participantListEl.appendChild(li);
+  }
+}
+
+function setRoster(roster) {
+  if (!roster || !Array.isArray(roster.viewers)) return;
+  participants = {
+    host: roster.host || null,
+    hostReconnecting: !!roster.hostReconnecting,
+    waitingRoom: !!roster.waitingRoom,
+    callOpen: roster.callOpen !== false,
+    viewers: roster.viewers.filter((v) => v && v.id),
+  };
+  if (role === "host") for (const v of participants.viewers) viewerNames.set(v.id, v.name);
+  const me = participants.viewers.find((v) => v.id === selfId);
+  setChatMuted(!!(me && me.muted));
+  setInLobby(!!(me && me.waiting), !!me);
+  renderParticipants();
+  updateCallFromRoster();
+  renderAnnotationUi();
+  renderLatencyUi();
+}
+
+// Viewer: the waiting room can chat and see who is there; the stream starts after host_ready
+function setInLobby(waiting, inRoom) {
+  if (waiting) {
+    setStatus(participants.host ? "In the waiting room: the host will let you in." : "In the waiting room: the host is not online yet.");
+  } else if (inLobby && inRoom) {
+    setStatus("You're in. Waiting for the host's stream…");
+  }
+  inLobby = waiting;
+  leaveLobbyBtn.classList.toggle("hidden", !waiting);
+}
+
+// Host (new, reconnected or handed the room): (re)build a connection to every viewer in the roster
+function adoptRoster(roster) {
+  setRoster(roster);
+  if (roomMode !== "mesh") return;
+
+  pendingViewers.clear();
+  for (const v of participants.viewers) {
+    // Viewers that are away get a fresh offer once they resume, waiting ones once admitted (viewer_joined)
+    if (v.away || v.waiting) continue;
+    cleanupPeer(v.id);
+    pendingViewers.add(v.id);
+  }
+  // If we are already sharing, immediately create offers
+  if (screenStream) {
+    for (const vid of pendingViewers) hostCreateOfferForViewer(vid).catch((e) => console.error(e));
+    pendingViewers.clear();
+  }
+}
+
+function setChatMuted(muted) {
+  chatInput.disabled = muted;
+  sendChatBtn.disabled = muted;
+  chatInput.placeholder = muted ? "The host muted you." : "Type message and hit Enter…";
+}
+
+const TYPING_IDLE_MS = 3000; // stop "typing" after this long without a keystroke
+const TYPING_SHOW_MS = 5000; // forget someone's "typing" if no update arrives
+let replyingTo = null; // chat message the next send replies to
+let typingTimer = null;
+let typingSent = false;
+const typers = new Map(); // clientId -> { name, timer }
+let lastReactionAt = 0;
+
+function showChat(msg) {
+  if (msg.id && chatMessages.has(msg.id)) return;
+  if (msg.ts) lastChatTs = Math.max(lastChatTs, msg.ts);
+  const p = document.createElement("p");
+  p.className = "msg";
+  renderChatMessage(p, msg);
+  if (msg.id) {
+    p.dataset.id = msg.id;
+    chatMessages.set(msg.id, { chat: msg, el: p });
+  }
+  chatLog.appendChild(p);
+  chatLog.scrollTop = chatLog.scrollHeight;
+}
+
+function renderChatMessage(p, chat) {
+  let html = "";
+  if (chat.replyTo) {
+    html += `<span class="reply">↪ ${escapeHtml(chat.replyTo.name)}: ${escapeHtml(chat.replyTo.message)}</span>`;
+  }
+  html += `<span class="who">${escapeHtml(chat.name || "User")}:</span> `;
+  if (chat.deleted) {
+    p.innerHTML = html + `<span class="small">message deleted</span>`;
+    return;
+  }
+  html += escapeHtml(chat.message || "");
+  if (chat.edited) html += ` <span class="small">(edited)</span>`;
+
+  if (chat.id) {
+    const mine = chat.from === selfId;
+    html += `<span class="msgActions">` +
+      `<button data-action="reply">Reply</button><button data-action="pick">React</button>` +
+      (mine ? `<button data-action="edit">Edit</button>` : "") +
+      (mine || role === "host" ? `<button data-action="delete">Delete</button>` : "") +
+      `</span>`;
+  }
+
+  const reactions = Object.entries(chat.reactions || {});
+  if (reactions.length) {
+    html += `<span class="reactions">` + reactions.map(([emoji, who]) =>
+      `<button class="reaction${who.includes(selfId) ? " mine" : ""}" data-action="react" data-emoji="${emoji}">${emoji} ${who.length}</button>`
+    ).join("") + `</span>`;
+  }
+  p.innerHTML = html;
+}
+
+function setReplyTo(chat) {
+  replyingTo = chat;
+  replyBar.classList.toggle("hidden", !chat);
+  if (chat) {
+    replyText.textContent = `Replying to ${chat.name}: ${chat.message.slice(0, 80)}`;
+    chatInput.focus();
+  }
+}
+
+function sendTyping(typing) {
+  clearTimeout(typingTimer);
+  typingTimer = typing ? setTimeout(() => sendTyping(false), TYPING_IDLE_MS) : null;
+  if (typing !== typingSent) send({ type: "typing", typing });
+  typingSent = typing;
+}
+
+function renderTyping() {
+  const names = [...typers.values()].map((t) => t.name);
+  if (!names.length) typingEl.textContent = "";
+  else if (names.length === 1) typingEl.textContent = `${names[0]} is typing…`;
+  else if (names.length === 2) typingEl.textContent = `${names[0]} and ${names[1]} are typing…`;
+  else typingEl.textContent = "Several people are typing…";
+}
+
+function showFloatingReaction(emoji) {
+  const span = document.createElement("span");
+  span.className = "floating";
+  span.textContent = emoji;
+  span.style.left = `${10 + Math.random() * 80}%`;
+  span.addEventListener("animationend", () => span.remove());
+  reactionLayer.appendChild(span);
+}
+
+function handleWsMessage(raw) {
+  let msg;
+  try { msg = JSON.parse(raw); } catch { return; }
+
+  if (msg && msg.type === "hello" && msg.protocol !== PROTOCOL_VERSION) {
+    // Server and page disagree on the protocol: a reload fetches the matching page
+    autoReconnect = false;
+    session = null;
+    appendChat({ system: true, message: ERRORS.protocol_mismatch.message });
+    setStatus(`Error: ${ERRORS.protocol_mismatch.message}`);
+    return;
+  }
+
+  const invalid = validateMessage("server", msg);
+  if (invalid) {
+    console.warn("Ignoring server message:", invalid.message, msg);
+    return;
+  }
+
+  if (msg.type === "hello") {
+    selfId = msg.id;
+    startClockSync();
+    return;
+  }
+
+  if (msg.type === "time_sync") {
+    onTimeSync(msg);
+    return;
+  }
+
+  if (msg.type === "playback") {
+    applyPlayback(msg);
+    return;
+  }
+
+  if (msg.type === "joined") {
+    setStatus(`${msg.resumed ? "Reconnected" : "Connected"} as ${msg.role}. Room: ${msg.roomId}`);
+    selfId = msg.id;
+    roomMode = msg.mode || "mesh";
+    session = { id: msg.id, token: msg.resumeToken };
+    autoReconnect = true;
+    reconnectAttempts = 0;
+    if (msg.hostId) hostId = msg.hostId;
+    setRecordingBadge(msg.recording);
+    // Back after a dropped connection while recording: the room forgot only if this is a new session
+    if (role === "host" && recording) send({ type: "recording", state: recording.pausedAt ? "paused" : "recording" });
+    const history = msg.chatHistory || [];
+    const before = chatMessages.size;
+    for (const m of history) showChat(m);
+    if (!msg.resumed && chatMessages.size > before) {
+      appendChat({ system: true, message: `${chatMessages.size - before} earlier message(s) above.` });
+    }
+    // Host in an SFU room: (re)publish once; the relay takes care of every viewer.
+    if (role === "host" && roomMode === "sfu" && screenStream) {
+      hostPublishToSfu().catch((e) => console.error(e));
+    }
+    if (role === "host") adoptRoster(msg.roster);
+    else setRoster(msg.roster);
+    if (callWanted && !msg.waiting) send({ type: "call", active: true, camera: callWanted.camera });
+    // Host back with the file still loaded: re-anchor the room on our player
+    if (role === "host" && localMedia && msg.playback && msg.playback.source === "file") reportPlayback();
+    else applyPlayback(msg.playback || { source: "screen" });
+    renameBtn.classList.remove("hidden");
+    return;
+  }
+
+  if (msg.type === "roster_update") {
+    const e = msg.event || {};
+    // Our own rename: rejoin under the new name after a reconnect
+    if (e.kind === "rename" && e.id === selfId) joinName = e.name;
+    setRoster(msg.roster);
+    return;
+  }
+
+  if (msg.type === "host_granted") {
+    // The host handed us the room: keep its token like a room creator would
+    saveHostToken(roomId, msg.hostToken);
+    hostId = selfId;
+    cleanupAllPeers();
+    videoEl.srcObject = null;
+    setRoleUi("host");
+    showRoomInfo();
+    adoptRoster(msg.roster);
+    // Our synced copy becomes the reference
+    if (localMedia) {
+      videoEl.playbackRate = playback.rate || 1;
+      reportPlayback();
+    }
+    renderPlaybackUi();
+    appendChat({ system: true, message: "You are now the host. Start sharing when ready." });
+    setStatus("You are the host. Not sharing.");
+    return;
+  }
+
+  if (msg.type === "host_changed") {
+    if (msg.hostId === selfId) return; // host_granted set us up
+    if (role === "host") {
+      // We handed the room over: stop sending and watch like everyone else
+      stopRecording(false);
+      stopSharing();
+      cleanupAllPeers();
+      pendingViewers.clear();
+      viewerNames.clear();
+      viewerReports.clear();
+      try { localStorage.removeItem(hostTokenKey(roomId)); } catch {}
+      setRoleUi("viewer");
+      showRoomInfo();
+    } else {
+      // The new host sends a fresh offer (or republishes to the relay)
+      cleanupAllPeers();
+    }
+    hostId = msg.hostId;
+    setStatus(`${msg.name || "Someone"} is now hosting.`);
+    return;
+  }
+
+  if (msg.type === "muted") {
+    if (msg.viewerId === selfId) setChatMuted(!!msg.muted);
+    return;
+  }
+
+  if (msg.type === "host_ready") {
+    // Viewer only: host is now online (if you joined early) or took over from another device.
+    // Drop connections to a previous host; the new one sends a fresh offer.
+    if (role === "viewer") {
+      cleanupAllPeers();
+      hostId = msg.hostId;
+    }
+    return;
+  }
+
+  if (msg.type === "viewer_joined") {
+    // Host: create offer for this viewer
+    if (role === "host") {
+      const viewerId = msg.viewerId;
+      const viewerName = msg.viewerName || "Viewer";
+      viewerNames.set(viewerId, viewerName);
+      appendChat({ system: true, message: `${viewerName} ${msg.resumed ? "reconnected" : "connected"}.` });
+      // A resumed viewer keeps its id but lost its side of the connection
+      cleanupPeer(viewerId);
+      // Prepare PC if we are currently sharing
+      hostCreateOfferForViewer(viewerId).catch((e) => console.error(e));
+    }
+    return;
+  }
+
+  if (msg.type === "viewer_stats") {
+    if (role === "host" && msg.viewerId && msg.stats) {
+      viewerReports.set(msg.viewerId, { stats: msg.stats, at: Date.now() });
+      if (roomMode === "sfu") renderParticipants();
+    }
+    return;
+  }
+
+  if (msg.type === "viewer_left") {
+    if (role === "host") {
+      cleanupPeer(msg.viewerId);
+      viewerReports.delete(msg.viewerId);
+      viewerNames.delete(msg.viewerId);
+      appendChat({ system: true, message: `Viewer left.` });
+      setStatus(`Sharing. ${Object.keys(peerConnections).length} viewer(s) connected.`);
+    }
+    return;
+  }
+
+  if (msg.type === "host_reconnecting") {
+    // Keep the last frame on screen; the host's new connection will send a fresh offer.
+    appendChat({ system: true, message: msg.message || "Host reconnecting…" });
+    setStatus("Host reconnecting…");
+    return;
+  }
+
+  if (msg.type === "host_left") {
+    autoReconnect = false;
+    session = null;
+    appendChat({ system: true, message: msg.message || "Host left." });
+    setStatus("Host left. Room closed.");
+    setRoster({ host: null, viewers: [] });
+    cleanupAllPeers();
+    endCall();
+    clearAnnotations();
+    stopRecording(false);
+    stopStreams();
+    stopStats();
+    setRecordingBadge(null);
+    applyPlayback({ source: "screen" });
+    return;
+  }
+
+  if (msg.type === "system") {
+    appendChat({ system: true, message: msg.message });
+    return;
+  }
+
+  if (msg.type === "recording") {
+    setRecordingBadge(msg.state);
+    return;
+  }
+
+  if (msg.type === "chat") {
+    recordChat(msg);
+    showChat(msg);
+    const typer = typers.get(msg.from);
+    if (typer) {
+      clearTimeout(typer.timer);
+      typers.delete(msg.from);
+      renderTyping();
+    }
+    return;
+  }
+
+  if (msg.type === "chat_update") {
+    const entry = msg.chat && chatMessages.get(msg.chat.id);
+    if (entry) {
+      entry.chat = msg.chat;
+      renderChatMessage(entry.el, msg.chat);
+    }
+    recordChatUpdate(msg.chat);
+    if (replyingTo && msg.chat.deleted && replyingTo.id === msg.chat.id) setReplyTo(null);
+    return;
+  }
+
+  if (msg.type === "typing") {
+    const prev = typers.get(msg.from);
+    if (prev) clearTimeout(prev.timer);
+    if (msg.typing) {
+      const timer = setTimeout(() => { typers.delete(msg.from); renderTyping(); }, TYPING_SHOW_MS);
+      typers.set(msg.from, { name: msg.name || "Someone", timer });
+    } else {
+      typers.delete(msg.from);
+    }
+    renderTyping();
+    return;
+  }
+
+  if (msg.type === "reaction") {
+    showFloatingReaction(msg.emoji);
+    return;
+  }
+
+  if (msg.type === "signal") {
+    const fromId = msg.from;
+    const data = msg.data || {};
+    const call = msg.channel === "call";
+
+    if (data.description) {
+      const handle = call ? handleCallDescription : handleRemoteDescription;
+      handle(fromId, data.description).catch((e) => console.error(e));
+    }
+
+    if (data.candidate) {
+      handleRemoteCandidate(fromId, data.candidate, call ? callConnections : peerConnections).catch((e) => console.error(e));
+    }
+
+    return;
+  }
+
+  if (msg.type === "error") {
+    if (role === "viewer" && (msg.code === "password_required" || msg.code === "bad_password")) {
+      if (askRoomPassword(msg.code === "bad_password")) {
+        sendJoin("viewer");
+        return;
+      }
+    }
+    if (FATAL_ERRORS.has(msg.code)) {
+      autoReconnect = false;
+      session = null;
+    }
+    if (msg.code === "kicked" || msg.code === "banned") {
+      cleanupAllPeers();
+      setRoster({ host: null, viewers: [] });
+      endCall();
+    }
+    if (msg.code === "talk_not_allowed") endCall();
+    if (msg.code === "host_replaced" || msg.code === "host_token_invalid") {
+      stopSharing();
+      cleanupAllPeers();
+      endCall();
+      setRoleUi(null);
+      hostLinkRow.classList.add("hidden");
+    }
+    appendChat({ system: true, message: `Error: ${msg.message}` });
+    setStatus(`Error: ${msg.message}`);
+  }
+}
+
+async function joinAs(newRole, rid) {
+  if (!rid) {
+    appendChat({ system: true, message: "Room ID missing." });
+    return;
+  }
+
+  const name = (nameEl.value || "").trim() || (newRole === "host" ? "Host" : "Viewer");
+
+  // A fresh join (not a reconnect) starts a new session
+  if (reconnectTimer) clearTimeout(reconnectTimer);
+  reconnectTimer = null;
+  reconnectAttempts = 0;
+  autoReconnect = false;
+  if (rid !== roomId) {
+    session = null;
+    lastChatTs = 0;
+    chatMessages.clear();
+  }
+  joinName = name;
+
+  if (!ws || ws.readyState !== WebSocket.OPEN) {
+    setStatus("Connecting…");
+    await connectWs();
+  }
+
+  setRoleUi(newRole);
+
+  roomId = rid;
+  showRoomInfo();
+
+  sendJoin(newRole);
+}
+
+function sendJoin(joinRole) {
+  const msg = { type: "join", protocol: PROTOCOL_VERSION, roomId, role: joinRole, name: joinName };
+  if (session) msg.resume = { id: session.id, token: session.token, since: lastChatTs };
+  if (joinRole === "host") msg.hostToken = getHostToken(roomId);
+  if (joinRole === "viewer" && roomPassword) msg.password = roomPassword;
+  send(msg);
+}
+
+createRoomBtn.addEventListener("click", async () => {
+  try {
+    const rid = await createRoom();
+    await joinAs("host", rid);
+    setStatus(`Room created: ${rid}. Start sharing when ready.`);
+    // Also update URL to keep the room if you refresh
+    const u = new URL(location.href);
+    u.searchParams.set("room", rid);
+    history.replaceState(null, "", u.toString());
+  } catch (e) {
+    console.error(e);
+    setStatus("Failed to create room.");
+  }
+});
+
+joinRoomBtn.addEventListener("click", async () => {
+  const rid = roomIdInput.value.trim() || parseUrlRoom();
+  if (rid && rid !== roomId) {
+    roomPassword = null;
+    const info = await fetchRoomInfo(rid);
+    if (info && info.passwordRequired && !askRoomPassword(false)) return;
+  }
+  await joinAs("viewer", rid);
+});
+
+leaveLobbyBtn.addEventListener("click", () => {
+  autoReconnect = false;
+  session = null;
+  send({ type: "leave" });
+  setRoster({ host: null, viewers: [] });
+  setRoleUi(null);
+  setStatus("Left the waiting room.");
+});
 
 startShareBtn.addEventListener("click", () => startSharing());
+
+qualityEl.addEventListener("change", () => applyQualityLive());
+maxBitrateEl.addEventListener("change", () => applyQualityLive());
+contentHintEl.addEventListener("change", () => applyQualityLive());
+codecPrefEl.addEventListener("change", () => renegotiateCodec().catch((e) => console.error(e)));
+autoQualityEl.addEventListener("change", () => {
+  if (!autoQualityEl.checked) applyQualityLive();
+});
 stopShareBtn.addEventListener("click", () => stopSharing());
+recordBtn.addEventListener("click", () => startRecording());
+
+for (const btn of toolButtons) {
+  btn.addEventListener("click", () => setAnnotateTool(annotateTool === btn.dataset.tool ? null : btn.dataset.tool));
+}
+annotationsToggle.addEventListener("change", () => {
+  if (role !== "host") return;
+  setAnnotationsEnabled(annotationsToggle.checked);
+  relayAnnotation({ type: "state", enabled: annotationsEnabled });
+});
+clearAnnotationsBtn.addEventListener("click", () => {
+  clearAnnotations();
+  relayAnnotation({ type: "clear" });
+});
+
+annotationCanvas.addEventListener("pointerdown", (e) => {
+  if (annotateTool !== "pen" && annotateTool !== "arrow") return;
+  const point = annotationPoint(e);
+  if (!point) return;
+  annotationCanvas.setPointerCapture(e.pointerId);
+  drawing = { id: ++strokeSeq, tool: annotateTool, points: [point] };
+  emitAnnotation({ type: "stroke", ...drawing, done: false }, true);
+});
+annotationCanvas.addEventListener("pointermove", (e) => {
+  const point = annotationPoint(e);
+  if (!point) return;
+  if (annotateTool === "pointer") {
+    emitAnnotation({ type: "pointer", x: point[0], y: point[1] });
+  } else if (drawing) {
+    if (drawing.tool === "arrow") drawing.points = [drawing.points[0], point];
+    else if (drawing.points.length < MAX_STROKE_POINTS) drawing.points.push(point);
+    emitAnnotation({ type: "stroke", ...drawing, done: false });
+  }
+});
+for (const event of ["pointerup", "pointercancel"]) {
+  annotationCanvas.addEventListener(event, () => {
+    if (!drawing) return;
+    emitAnnotation({ type: "stroke", ...drawing, done: true }, true);
+    drawing = null;
+  });
+}
+annotationCanvas.addEventListener("pointerleave", () => {
+  if (annotateTool === "pointer") emitAnnotation({ type: "pointer", x: null, y: null }, true);
+});
+
+joinCallBtn.addEventListener("click", () => joinCall());
+leaveCallBtn.addEventListener("click", () => leaveCall());
+callCameraEl.addEventListener("change", async () => {
+  if (!callWanted) return; // used when joining
+  try {
+    await setCallMedia(callCameraEl.checked);
+    callWanted = { camera: callCameraEl.checked };
+    send({ type: "call", active: true, camera: callWanted.camera });
+  } catch (e) {
+    callCameraEl.checked = !callCameraEl.checked;
+    appendChat({ system: true, message: `Camera: ${e.message}` });
+  }
+});
+callMicBtn.addEventListener("click", () => {
+  micMuted = !micMuted;
+  applyMicState();
+});
+pushToTalkEl.addEventListener("change", () => applyMicState());
+talkBtn.addEventListener("pointerdown", () => setTalkHeld(true));
+for (const event of ["pointerup", "pointerleave", "pointercancel"]) talkBtn.addEventListener(event, () => setTalkHeld(false));
+// Space talks while held, unless typing somewhere
+document.addEventListener("keydown", (e) => {
+  if (e.code !== "Space" || !callWanted || !pushToTalkEl.checked || e.target.closest("input, textarea, select, button")) return;
+  e.preventDefault();
+  setTalkHeld(true);
+});
+document.addEventListener("keyup", (e) => {
+  if (e.code === "Space") setTalkHeld(false);
+});
+window.addEventListener("blur", () => setTalkHeld(false));
+
+callTilesEl.addEventListener("input", (e) => {
+  const tile = e.target.closest(".tile");
+  if (!tile || e.target.type !== "range") return;
+  const prev = callVolumes.get(tile.dataset.id) || { volume: 1, muted: false };
+  callVolumes.set(tile.dataset.id, { ...prev, volume: Number(e.target.value) });
+  applyTileVolume(tile);
+});
+callTilesEl.addEventListener("click", (e) => {
+  const tile = e.target.closest(".tile");
+  if (!tile || !e.target.closest("button")) return;
+  const prev = callVolumes.get(tile.dataset.id) || { volume: 1, muted: false };
+  callVolumes.set(tile.dataset.id, { ...prev, muted: !prev.muted });
+  applyTileVolume(tile);
+});
+
+playFileBtn.addEventListener("click", () => fileInput.click());
+loadFileBtn.addEventListener("click", () => fileInput.click());
+fileInput.addEventListener("change", () => {
+  const file = fileInput.files[0];
+  fileInput.value = "";
+  if (!file) return;
+  if (role === "host") hostPlayMedia(fileMedia(file));
+  else if (playback.source === "file") loadMedia(fileMedia(file));
+});
+
+playUrlBtn.addEventListener("click", () => {
+  const url = playUrlInput.value.trim();
+  if (!/^https?:\/\//i.test(url)) {
+    appendChat({ system: true, message: "Enter an http:// or https:// URL." });
+    return;
+  }
+  hostPlayMedia(urlMedia(url));
+});
+
+backToScreenBtn.addEventListener("click", () => {
+  if (role === "host") leaveFilePlayback();
+});
+
+// Host: every change to the reference player goes to the room
+for (const event of ["play", "pause", "seeked", "ratechange", "playing"]) {
+  videoEl.addEventListener(event, () => reportPlayback());
+}
+videoEl.addEventListener("loadedmetadata", () => {
+  if (role === "host") hostMediaReady();
+  else syncToPlayback();
+});
+
+setInterval(() => {
+  if (role !== "host") syncToPlayback();
+  else if (!videoEl.paused && Date.now() - lastPlaybackReport > PLAYBACK_HEARTBEAT_MS) reportPlayback();
+}, PLAYBACK_SYNC_MS);
+setInterval(syncClock, CLOCK_RESYNC_MS);
+
+playoutModeEl.addEventListener("change", () => {
+  playoutMode = playoutModeEl.value in PLAYOUT_TARGETS_MS ? playoutModeEl.value : "auto";
+  try { localStorage.setItem(PLAYOUT_STORAGE_KEY, playoutMode); } catch {}
+  for (const pc of Object.values(peerConnections)) applyPlayoutMode(pc);
+});
+setInterval(() => {
+  sendLatencyProbes();
+  if (role === "viewer") renderLatencyUi();
+}, LATENCY_PROBE_MS);
+pauseRecordBtn.addEventListener("click", () => toggleRecordingPause());
+stopRecordBtn.addEventListener("click", () => stopRecording(true));
+switchShareBtn.addEventListener("click", () => startSharing());
+
+shareFileBtn.addEventListener("click", () => shareFileInput.click());
+shareFileInput.addEventListener("change", () => {
+  const file = shareFileInput.files[0];
+  shareFileInput.value = "";
+  if (file) startSharing(file);
+});
+
+// What the host does to the file, viewers see in the stream
+fileShareToggleBtn.addEventListener("click", () => {
+  if (!fileShare) return;
+  if (fileShare.media.paused) fileShare.media.play().catch((e) => appendChat({ system: true, message: `Playback: ${e.message}` }));
+  else fileShare.media.pause();
+});
+fileShareSeek.addEventListener("change", () => {
+  if (fileShare) fileShare.media.currentTime = Number(fileShareSeek.value);
+  fileShareSeek.blur();
+});
+
+includeMicEl.addEventListener("change", async () => {
+  if (!screenStream) return; // picked up when sharing starts
+  try {
+    await syncMic();
+    await updateAllSenders();
+    if (recording) connectRecordingAudio(recording);
+    appendChat({ system: true, message: micStream ? "Microphone on." : "Microphone off." });
+  } catch (e) {
+    includeMicEl.checked = !!micStream;
+    appendChat({ system: true, message: `Microphone: ${e.message}` });
+  }
+});
+
+saveTurnBtn.addEventListener("click", () => {
+  const urls = turnUrlEl.value.trim();
+  try {
+    if (!urls) {
+      localStorage.removeItem(TURN_STORAGE_KEY);
+      appendChat({ system: true, message: "Custom TURN server removed." });
+      return;
+    }
+    if (!/^turns?:/.test(urls)) {
+      appendChat({ system: true, message: "TURN URL must start with turn: or turns:" });
+      return;
+    }
+    const turn = { urls, username: turnUserEl.value.trim(), credential: turnCredentialEl.value };
+    localStorage.setItem(TURN_STORAGE_KEY, JSON.stringify(turn));
+    appendChat({ system: true, message: "TURN server saved. It applies to new connections." });
+  } catch {
+    appendChat({ system: true, message: "Could not save TURN server (storage unavailable)." });
+  }
+});
+
+reclaimHostBtn.addEventListener("click", async () => {
+  const rid = roomId || parseUrlRoom();
+  if (!rid) return;
+  await joinAs("host", rid);
+  reclaimHostBtn.classList.add("hidden");
+});
 
-copyInviteBtn.addEventListener("click", async () => {
+async function copyField(input, label) {
   try {
-    await navigator.clipboard.writeText(inviteLinkEl.value);
-    appendChat({ system: true, message: "Invite link copied." });
+    await navigator.clipboard.writeText(input.value);
+    appendChat({ system: true, message: `${label} copied.` });
   } catch {
-    inviteLinkEl.select();
+    input.select();
     document.execCommand("copy");
-    appendChat({ system: true, message: "Invite link copied (fallback)." });
+    appendChat({ system: true, message: `${label} copied (fallback).` });
+  }
+}
+
+participantListEl.addEventListener("click", (e) => {
+  const btn = e.target.closest("button[data-action]");
+  if (!btn || role !== "host") return;
+  const viewerId = btn.closest("li").dataset.id;
+  const name = viewerNames.get(viewerId) || "this viewer";
+  const action = btn.dataset.action;
+  const entry = participants.viewers.find((v) => v.id === viewerId);
+  if (action === "admit") send({ type: "admit", viewerId });
+  if (action === "talk") send({ type: "allow_talk", viewerId, allowed: !(entry && entry.canTalk) });
+  if (action === "mute") send({ type: "mute", viewerId, muted: !(entry && entry.muted) });
+  if (action === "kick") send({ type: "kick", viewerId });
+  if (action === "ban" && confirm(`Ban ${name} from this room?`)) send({ type: "ban", viewerId });
+  if (action === "transfer" && confirm(`Make ${name} the host? You will stay as a viewer.`)) {
+    send({ type: "transfer_host", to: viewerId });
+  }
+});
+
+callOpenToggle.addEventListener("change", () => {
+  if (role === "host") send({ type: "call_open", enabled: callOpenToggle.checked });
+});
+
+waitingRoomToggle.addEventListener("change", () => {
+  if (role === "host") send({ type: "waiting_room", enabled: waitingRoomToggle.checked });
+});
+
+admitAllBtn.addEventListener("click", () => {
+  if (role === "host") send({ type: "admit" });
+});
+
+renameBtn.addEventListener("click", () => {
+  const name = nameEl.value.trim();
+  if (!name || !roomId) return;
+  send({ type: "rename", name });
+});
+
+banNameBtn.addEventListener("click", () => {
+  const name = banNameInput.value.trim();
+  if (!name || role !== "host") return;
+  send({ type: "ban", name });
+  banNameInput.value = "";
+});
+
+// Host: download the room's chat history from the server (needs the host token)
+async function exportChat(format) {
+  if (role !== "host" || !roomId) return;
+  try {
+    const res = await fetch(`/api/room/${encodeURIComponent(roomId)}/chat?format=${format}`, {
+      headers: { authorization: `Bearer ${getHostToken(roomId)}` },
+    });
+    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+    const a = document.createElement("a");
+    a.href = URL.createObjectURL(await res.blob());
+    a.download = `chat-${roomId}.${format}`;
+    a.click();
+    setTimeout(() => URL.revokeObjectURL(a.href), 1000);
+  } catch (e) {
+    appendChat({ system: true, message: `Chat export failed: ${e.message}` });
   }
+}
+
+exportChatJsonBtn.addEventListener("click", () => exportChat("json"));
+exportChatTxtBtn.addEventListener("click", () => exportChat("txt"));
+
+endRoomBtn.addEventListener("click", () => {
+  if (role !== "host" || !confirm("End the room for everyone? Export the chat first if you want to keep it.")) return;
+  autoReconnect = false;
+  session = null;
+  send({ type: "leave" });
+  stopSharing();
+  cleanupAllPeers();
+  setRoster({ host: null, viewers: [] });
+  setRoleUi(null);
+  setStatus("Room ended.");
 });
 
+copyInviteBtn.addEventListener("click", () => copyField(inviteLinkEl, "Invite link"));
+copyHostLinkBtn.addEventListener("click", () => copyField(hostLinkEl, "Host link"));
+
 sendChatBtn.addEventListener("click", () => {
   const msg = chatInput.value.trim();
   if (!msg) return;
-  send({ type: "chat", message: msg });
+  const chat = { type: "chat", message: msg };
+  if (replyingTo) chat.replyTo = replyingTo.id;
+  send(chat);
   chatInput.value = "";
+  setReplyTo(null);
+  sendTyping(false);
 });
 
 chatInput.addEventListener("keydown", (e) => {
   if (e.key === "Enter") sendChatBtn.click();
+  if (e.key === "Escape") setReplyTo(null);
+});
+
+chatInput.addEventListener("input", () => {
+  if (roomId) sendTyping(!!chatInput.value.trim());
+});
+
+cancelReplyBtn.addEventListener("click", () => setReplyTo(null));
+
+chatLog.addEventListener("click", (e) => {
+  const btn = e.target.closest("button[data-action]");
+  const msgEl = btn && btn.closest(".msg");
+  const entry = msgEl && chatMessages.get(msgEl.dataset.id);
+  if (!entry) return;
+  const { chat, el: p } = entry;
+  const action = btn.dataset.action;
+
+  if (action === "reply") setReplyTo(chat);
+  if (action === "react") send({ type: "react", messageId: chat.id, emoji: btn.dataset.emoji });
+  if (action === "pick") {
+    const open = p.querySelector(".picker");
+    if (open) open.remove();
+    else {
+      const picker = document.createElement("span");
+      picker.className = "picker";
+      picker.innerHTML = REACTION_EMOJIS.map((emoji) => `<button data-action="react" data-emoji="${emoji}">${emoji}</button>`).join("");
+      btn.parentElement.after(picker);
+    }
+  }
+  if (action === "edit") {
+    const text = prompt("Edit your message", chat.message);
+    if (text && text.trim() && text !== chat.message) send({ type: "chat_edit", messageId: chat.id, message: text });
+  }
+  if (action === "delete" && confirm("Delete this message?")) send({ type: "chat_delete", messageId: chat.id });
+});
+
+reactionBar.innerHTML = REACTION_EMOJIS.map((emoji) => `<button title="React over the video">${emoji}</button>`).join("");
+reactionBar.addEventListener("click", (e) => {
+  const btn = e.target.closest("button");
+  if (!btn || !roomId || Date.now() - lastReactionAt < 300) return;
+  lastReactionAt = Date.now();
+  send({ type: "reaction", emoji: btn.textContent });
 });
 
 fullscreenBtn.addEventListener("click", () => {
+  // The wrapper goes fullscreen so floating reactions stay visible
   if (!document.fullscreenElement) {
-    videoEl.requestFullscreen?.();
+    videoWrap.requestFullscreen?.();
   } else {
     document.exitFullscreen?.();
   }
 });
 
+const savedTurn = loadCustomTurn();
+if (savedTurn) {
+  turnUrlEl.value = savedTurn.urls || "";
+  turnUserEl.value = savedTurn.username || "";
+  turnCredentialEl.value = savedTurn.credential || "";
+}
+
 // Auto-fill roomId if joined via link
 const autoRoom = parseUrlRoom();
 if (autoRoom) {
   roomIdInput.value = autoRoom;
   setStatus("Room link detected. Enter a name and click Join.");
+
+  // Host link from another device: remember the token, then drop it from the address bar
+  const urlToken = parseUrlHostToken();
+  if (urlToken) {
+    saveHostToken(autoRoom, urlToken);
+    history.replaceState(null, "", location.pathname + location.search);
+  }
+  if (getHostToken(autoRoom)) {
+    reclaimHostBtn.classList.remove("hidden");
+    setStatus("You created this room. Click Resume hosting to take it back, or Join as a viewer.");
+  }
 }
\ No newline at end of file
@@ -0,0 +1,110 @@
+/*
+  Renders PROTOCOL.md from lib/protocol.js so the spec can't drift from what the server enforces.
+
+    node scripts/gen-protocol-doc.js          write PROTOCOL.md
+    node scripts/gen-protocol-doc.js --check  exit 1 if PROTOCOL.md is out of date
+*/
+
+const fs = require("fs");
+const path = require("path");
+const { PROTOCOL_VERSION, ERRORS, DEFINITIONS, CLIENT_MESSAGES, SERVER_MESSAGES } = require("../lib/protocol");
+
+const OUT = path.join(__dirname, "..", "PROTOCOL.md");
+
+// Definitions are referenced by name instead of being expanded inline
+const definitionNames = new Map(Object.entries(DEFINITIONS).map(([name, schema]) => [schema, name]));
+
+function describeType(schema) {
+  if (definitionNames.has(schema)) return `[${definitionNames.get(schema)}](#${definitionNames.get(schema).toLowerCase()})`;
+  if (schema.enum) return schema.enum.map((v) => `\`${JSON.stringify(v)}\``).join(" \\| ");
+
+  let type = [].concat(schema.type || "any").join(" \\| ");
+  if (schema.type === "array" && schema.items) type = `${describeType(schema.items)}[]`;
+  if (schema.type === "object" && typeof schema.additionalProperties === "object") {
+    type = `{ [key]: ${describeType(schema.additionalProperties)} }`;
+  }
+
+  const bounds = [];
+  if (schema.minLength !== undefined) bounds.push(`min length ${schema.minLength}`);
+  if (schema.maxLength !== undefined) bounds.push(`max length ${schema.maxLength}`);
+  if (schema.minimum !== undefined) bounds.push(`>= ${schema.minimum}`);
+  if (schema.maximum !== undefined) bounds.push(`<= ${schema.maximum}`);
+  return bounds.length ? `${type} (${bounds.join(", ")})` : type;
+}
+
+function fieldTable(properties, required = []) {
+  const rows = Object.entries(properties || {});
+  if (!rows.length) return "_No fields._\n";
+  const lines = ["| Field | Type | Required | Notes |", "| --- | --- | --- | --- |"];
+  for (const [key, schema] of rows) {
+    let notes = definitionNames.has(schema) ? "" : schema.description || "";
+    if (!definitionNames.has(schema) && schema.type === "object" && schema.properties) {
+      const nested = Object.entries(schema.properties)
+        .map(([k, s]) => `\`${k}\`${(schema.required || []).includes(k) ? "" : "?"}: ${describeType(s)}`)
+        .join(", ");
+      notes = [notes, `{ ${nested} }`].filter(Boolean).join(" ");
+    }
+    lines.push(`| \`${key}\` | ${describeType(schema)} | ${required.includes(key) ? "yes" : ""} | ${notes} |`);
+  }
+  return lines.join("\n") + "\n";
+}
+
+function messageSections(messages) {
+  return Object.entries(messages)
+    .map(([type, def]) => `### \`${type}\`\n\n${def.description}\n\n${fieldTable(def.properties, def.required)}`)
+    .join("\n");
+}
+
+function render() {
+  const definitions = Object.entries(DEFINITIONS)
+    .map(([name, schema]) => {
+      const intro = [schema.description, schema.additionalProperties === false ? "No other fields are allowed." : ""]
+        .filter(Boolean)
+        .join(" ");
+      return `### ${name}\n\n${intro ? intro + "\n\n" : ""}${fieldTable(schema.properties, schema.required)}`;
+    })
+    .join("\n");
+
+  const errors = ["| Code | Fatal | Default message |", "| --- | --- | --- |"]
+    .concat(Object.entries(ERRORS).map(([code, e]) => `| \`${code}\` | ${e.fatal ? "yes" : ""} | ${e.message} |`))
+    .join("\n");
+
+  return `<!-- Generated by scripts/gen-protocol-doc.js from lib/protocol.js. Do not edit by hand: npm run docs:protocol -->
+
+# Signaling protocol (version ${PROTOCOL_VERSION})
+
+Every WebSocket frame is one JSON object with a \`type\` field.
+
+- The server opens with \`hello\`, which carries its \`protocol\` version.
+- The client sends it back in \`join\`. A different version is refused with \`protocol_mismatch\`.
+- Client messages are validated strictly. Unknown fields, wrong types or oversized values are answered
+  with \`invalid_message\` (and count against the connection's rate limit strikes).
+- Server messages may gain new fields in the same version; clients ignore fields they don't know.
+- Refusals are \`{ "type": "error", "code", "message" }\`. After a fatal error the client should not retry.
+
+## Client to server
+
+${messageSections(CLIENT_MESSAGES)}
+## Server to client
+
+${messageSections(SERVER_MESSAGES)}
+## Definitions
+
+${definitions}
+## Error codes
+
+${errors}
+`;
+}
+
+const doc = render();
+if (process.argv.includes("--check")) {
+  const current = fs.existsSync(OUT) ? fs.readFileSync(OUT, "utf8") : "";
+  if (current !== doc) {
+    console.error("PROTOCOL.md is out of date: run npm run docs:protocol");
+    process.exit(1);
+  }
+} else {
+  fs.writeFileSync(OUT, doc);
+  console.log(`Wrote ${path.relative(process.cwd(), OUT)}`);
+}
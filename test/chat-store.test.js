@@ -0,0 +1,57 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { createMemoryChatStore, createFileChatStore, createSqliteChatStore } = require("../lib/chat-store");
+
+let sqliteMissing = false;
+try {
+  require.resolve("better-sqlite3");
+} catch {
+  sqliteMissing = "better-sqlite3 is not installed";
+}
+
+function tempDir() {
+  return fs.mkdtempSync(path.join(os.tmpdir(), "uwt-chat-store-"));
+}
+
+const chat = (id, message, ts) => ({ type: "chat", roomId: "r1", id, name: "Ann", message, ts });
+
+// Two nodes appending the same relayed message to one store must not store it twice
+function appendsOnce(store) {
+  store.append("r1", chat("m1", "hi", 1));
+  store.append("r1", chat("m1", "hi", 1));
+  store.append("r1", chat("m2", "there", 2));
+  store.update("r1", { ...chat("m1", "hi!", 1), edited: true });
+  store.append("r1", chat("m1", "hi", 1));
+  assert.deepEqual(store.all("r1").map((m) => [m.id, m.message]), [["m1", "hi!"], ["m2", "there"]]);
+  assert.deepEqual(store.recent("r1", { since: 1 }).map((m) => m.id), ["m2"]);
+}
+
+test("the memory store keeps one copy of each message", () => {
+  appendsOnce(createMemoryChatStore());
+});
+
+test("the file store keeps one copy of each message, also for another store on the same files", () => {
+  const dir = tempDir();
+  try {
+    appendsOnce(createFileChatStore({ dir }));
+    assert.equal(createFileChatStore({ dir }).all("r1").length, 2);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test("stores sharing one SQLite database keep one copy of each message", { skip: sqliteMissing }, () => {
+  const dir = tempDir();
+  try {
+    const file = path.join(dir, "chat.sqlite");
+    appendsOnce(createSqliteChatStore({ file }));
+    const other = createSqliteChatStore({ file });
+    other.append("r1", chat("m2", "there", 2));
+    assert.equal(other.all("r1").length, 2);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
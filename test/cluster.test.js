@@ -0,0 +1,264 @@
+const { test, describe, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { createMemoryHub, createMemoryPubSub } = require("../lib/pubsub");
+const { createCluster } = require("../lib/cluster");
+const { startServer, createRoom, roomInfo, connect } = require("./harness");
+
+// Memory pub/sub delivers on setImmediate, like a message arriving from the network
+const settle = () => new Promise((resolve) => setTimeout(resolve, 30));
+
+// A node whose handlers just record the events that reach it
+function node(hub, nodeId) {
+  const seen = [];
+  const record = (event) => seen.push(event);
+  const handlers = { room: record, room_closed: record, send: record, broadcast: record, disconnect: record, sync: record };
+  return { cluster: createCluster({ pubsub: createMemoryPubSub({ hub }), nodeId, handlers }), seen };
+}
+
+test("memory pub/subs on one hub hear each other, and nothing after close", async () => {
+  const hub = createMemoryHub();
+  const a = createMemoryPubSub({ hub });
+  const b = createMemoryPubSub({ hub });
+  const elsewhere = createMemoryPubSub({ hub: createMemoryHub() });
+  const got = { a: [], b: [], elsewhere: [] };
+  a.subscribe("ch", (m) => got.a.push(m));
+  b.subscribe("ch", (m) => got.b.push(m));
+  elsewhere.subscribe("ch", (m) => got.elsewhere.push(m));
+
+  a.publish("ch", "one");
+  a.publish("ch", "two");
+  await settle();
+  assert.deepEqual(got, { a: ["one", "two"], b: ["one", "two"], elsewhere: [] });
+
+  b.close();
+  a.publish("ch", "three");
+  await settle();
+  assert.deepEqual(got.b, ["one", "two"]);
+  a.close();
+  elsewhere.close();
+});
+
+test("cluster events reach the other nodes but not the one that sent them", async () => {
+  const hub = createMemoryHub();
+  const a = node(hub, "a");
+  await settle();
+  const b = node(hub, "b");
+  await settle();
+
+  // A node that starts asks the others for their rooms
+  assert.deepEqual(a.seen.map((e) => [e.node, e.kind]), [["b", "sync"]]);
+  assert.deepEqual(b.seen, []);
+
+  a.cluster.publishRoom({ roomId: "r1" });
+  a.cluster.send("r1", "c1", { type: "chat" });
+  a.cluster.broadcast("r1", { type: "system" });
+  a.cluster.disconnect("r1", "c1");
+  a.cluster.closeRoom("r1");
+  await settle();
+  assert.deepEqual(
+    b.seen.map(({ node: from, ...event }) => event),
+    [
+      { kind: "room", snapshot: { roomId: "r1" } },
+      { kind: "send", roomId: "r1", clientId: "c1", message: { type: "chat" } },
+      { kind: "broadcast", roomId: "r1", message: { type: "system" }, except: null },
+      { kind: "disconnect", roomId: "r1", clientId: "c1", error: null },
+      { kind: "room_closed", roomId: "r1" },
+    ]
+  );
+  assert.equal(a.seen.length, 1);
+
+  a.cluster.close();
+  b.cluster.close();
+});
+
+test("garbage on the bus and failing handlers don't stop a node", async () => {
+  const hub = createMemoryHub();
+  const calls = [];
+  const cluster = createCluster({
+    pubsub: createMemoryPubSub({ hub }),
+    nodeId: "a",
+    handlers: {
+      room: (event) => {
+        calls.push(event.snapshot.roomId);
+        if (event.snapshot.roomId === "bad") throw new Error("boom");
+      },
+    },
+  });
+  const raw = createMemoryPubSub({ hub });
+  const errors = console.error;
+  console.error = () => {};
+  try {
+    raw.publish("uwt", "not json");
+    raw.publish("uwt", JSON.stringify({ node: "b", kind: "unknown" }));
+    raw.publish("uwt", JSON.stringify({ node: "b", kind: "room", snapshot: { roomId: "bad" } }));
+    raw.publish("uwt", JSON.stringify({ node: "b", kind: "room", snapshot: { roomId: "ok" } }));
+    await settle();
+  } finally {
+    console.error = errors;
+  }
+  assert.deepEqual(calls, ["bad", "ok"]);
+  cluster.close();
+  raw.close();
+});
+
+describe("two servers on one hub", () => {
+  // Two servers on one in-process bus, like two nodes behind a load balancer sharing Redis
+  let hub;
+  let a;
+  let b;
+  before(async () => {
+    hub = createMemoryHub();
+    const env = { SESSION_SECRET: "shared" };
+    a = await startServer(env, { pubsub: createMemoryPubSub({ hub }) });
+    b = await startServer(env, { pubsub: createMemoryPubSub({ hub }) });
+  });
+  after(() => Promise.all([a.close(), b.close()]));
+
+  test("a room created on one node can be joined on the other", async () => {
+    const { roomId, hostToken } = await createRoom(a, { password: "pw" });
+    await settle();
+    assert.equal((await roomInfo(b, roomId)).passwordRequired, true);
+
+    const host = await connect(a);
+    await host.join({ roomId, role: "host", hostToken });
+    const viewer = await connect(b);
+    assert.equal((await viewer.join({ roomId, role: "viewer", name: "V", password: "no" })).code, "bad_password");
+    const joined = await viewer.join({ roomId, role: "viewer", name: "V", password: "pw" });
+    assert.equal(joined.hostId, host.id);
+    assert.equal((await host.next("viewer_joined")).viewerId, viewer.id);
+
+    await Promise.all([viewer.close(), host.close()]);
+  });
+
+  test("signals and chat cross nodes, and the host leaving closes the room everywhere", async () => {
+    const { roomId, hostToken } = await createRoom(a);
+    await settle();
+    const host = await connect(a);
+    await host.join({ roomId, role: "host", hostToken });
+    const viewer = await connect(b);
+    await viewer.join({ roomId, role: "viewer", name: "V" });
+    await host.next("viewer_joined");
+
+    const offer = { description: { type: "offer", sdp: "v=0" } };
+    host.send({ type: "signal", to: viewer.id, data: offer });
+    assert.deepEqual((await viewer.next("signal")).data, offer);
+
+    viewer.send({ type: "chat", message: "from b" });
+    const chat = await host.next("chat");
+    assert.equal(chat.message, "from b");
+    // Each node keeps the chat, so reactions work from either side
+    host.send({ type: "react", messageId: chat.id, emoji: "👍" });
+    assert.deepEqual((await viewer.next("chat_update")).chat.reactions, { "👍": [host.id] });
+
+    host.send({ type: "leave" });
+    await viewer.next("host_left");
+    await viewer.closed;
+    await settle();
+    assert.equal(await roomInfo(b, roomId), null);
+  });
+
+  test("viewers joining on both nodes at once are both kept", async () => {
+    const { roomId, hostToken } = await createRoom(a);
+    await settle();
+    const host = await connect(a);
+    await host.join({ roomId, role: "host", hostToken });
+    await settle();
+    const [onA, onB] = await Promise.all([connect(a), connect(b)]);
+    // Neither node has heard of the other's join when it publishes its own
+    await Promise.all([onA.join({ roomId, role: "viewer", name: "A" }), onB.join({ roomId, role: "viewer", name: "B" })]);
+    await settle();
+
+    onB.send({ type: "stats", stats: { fps: 30 } });
+    assert.equal((await host.next("viewer_stats")).viewerId, onB.id);
+    await onB.none("error", 100);
+    for (const client of [host, onA, onB]) {
+      const { roster } = await client.next("roster_update", { where: (m) => m.roster.viewers.length === 2 });
+      assert.deepEqual(roster.viewers.map((v) => v.name).sort(), ["A", "B"]);
+    }
+
+    await Promise.all([onA.close(), onB.close(), host.close()]);
+  });
+
+  test("a snapshot older than the room's state is ignored, so someone who left stays gone", async () => {
+    const { roomId, hostToken } = await createRoom(a);
+    await settle();
+    const host = await connect(a);
+    await host.join({ roomId, role: "host", hostToken });
+    // Listen on the bus like a third node would
+    const tap = createMemoryPubSub({ hub });
+    const snapshots = [];
+    tap.subscribe("uwt", (raw) => {
+      const event = JSON.parse(raw);
+      if (event.kind === "room" && event.snapshot.roomId === roomId) snapshots.push(event.snapshot);
+    });
+    const viewer = await connect(b);
+    await viewer.join({ roomId, role: "viewer", name: "Gone" });
+    await settle();
+    const stale = snapshots.findLast((snapshot) => snapshot.roles.some(([id]) => id === viewer.id));
+
+    viewer.send({ type: "leave" });
+    await host.next("viewer_left");
+    await settle();
+    // ...and only then does a snapshot from before the leave arrive, e.g. from a slow node
+    tap.publish("uwt", JSON.stringify({ node: "slow", kind: "room", snapshot: stale }));
+    await settle();
+    tap.close();
+
+    for (const server of [a, b]) {
+      const late = await connect(server);
+      const joined = await late.join({ roomId, role: "viewer", name: "Late" });
+      assert.ok(!joined.roster.viewers.some((v) => v.id === viewer.id));
+      await late.close();
+    }
+    await host.close();
+  });
+
+  test("the host can come back on another node within its grace period", async () => {
+    const { roomId, hostToken } = await createRoom(a);
+    await settle();
+    const host = await connect(a);
+    const joined = await host.join({ roomId, role: "host", hostToken });
+    const viewer = await connect(b);
+    await viewer.join({ roomId, role: "viewer", name: "V" });
+
+    host.ws.terminate();
+    await viewer.next("host_reconnecting");
+    const again = await connect(b);
+    await again.join({ roomId, role: "host", hostToken, resume: { id: host.id, token: joined.resumeToken } });
+    assert.equal((await viewer.next("host_ready")).hostId, host.id);
+    await settle();
+    assert.equal((await roomInfo(a, roomId)).hostOnline, true);
+
+    await Promise.all([viewer.close(), again.close()]);
+  });
+});
+
+describe("a node that dies while its host is reconnecting", () => {
+  let a;
+  let b;
+  before(async () => {
+    const hub = createMemoryHub();
+    const env = { SESSION_SECRET: "shared", HOST_GRACE_MS: "200", ROOM_SWEEP_MS: "50" };
+    a = await startServer(env, { pubsub: createMemoryPubSub({ hub }) });
+    b = await startServer(env, { pubsub: createMemoryPubSub({ hub }) });
+  });
+  // a is closed by the test; closing it again is harmless if the test failed first
+  after(() => Promise.all([a.close(), b.close()]));
+
+  test("leaves the other nodes to close the room once the grace period is over", async () => {
+    const { roomId, hostToken } = await createRoom(a);
+    await settle();
+    const host = await connect(a);
+    await host.join({ roomId, role: "host", hostToken });
+    const viewer = await connect(b);
+    await viewer.join({ roomId, role: "viewer", name: "V" });
+
+    host.ws.terminate();
+    await viewer.next("host_reconnecting");
+    // The grace timer dies with node a
+    await a.close();
+    await viewer.next("host_left", { timeout: 1000 });
+    await viewer.closed;
+    assert.equal(await roomInfo(b, roomId), null);
+  });
+});
@@ -0,0 +1,132 @@
+/*
+  Test harness: in-process servers on free ports and headless WebSocket clients that speak the protocol.
+
+  Every message a client receives is checked against SERVER_MESSAGES in lib/protocol.js; a message that
+  doesn't match makes the client's pending and later next() calls fail, so schema drift shows up in
+  whichever test triggers it.
+*/
+
+const WebSocket = require("ws");
+const { createServer } = require("../lib/server");
+const { PROTOCOL_VERSION, validateMessage } = require("../lib/protocol");
+
+const DEFAULT_TIMEOUT_MS = 2000;
+
+/** Starts a server on a free port. `env` replaces process.env, so tests only see what they set. */
+async function startServer(env = {}, options = {}) {
+  const instance = createServer({ env, ...options });
+  const port = await instance.listen(0);
+  return {
+    ...instance,
+    url: `http://127.0.0.1:${port}`,
+    wsUrl: `ws://127.0.0.1:${port}`,
+  };
+}
+
+async function createRoom(server, options = {}) {
+  const res = await fetch(`${server.url}/api/new-room`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(options),
+  });
+  if (!res.ok) throw new Error(`new-room: HTTP ${res.status}`);
+  return res.json();
+}
+
+async function roomInfo(server, roomId) {
+  const res = await fetch(`${server.url}/api/room/${roomId}`);
+  return res.ok ? res.json() : null;
+}
+
+/**
+ * Opens a socket and waits for `hello`. The client queues what it receives:
+ *   next(type | [types])  resolves with the oldest queued message of that type (waiting for one);
+ *                         `where` narrows it down, e.g. { where: (m) => m.event.kind === "away" }
+ *   none(type, ms)        resolves if no message of that type arrives within `ms`
+ *   join(fields)          sends a join with the protocol version, resolves with `joined` or `error`
+ *   closed                promise of the close code
+ * `headers` go with the upgrade request, e.g. X-Forwarded-For for a server with TRUST_PROXY=1.
+ */
+async function connect(server, { headers } = {}) {
+  const ws = new WebSocket(server.wsUrl, { headers });
+  const inbox = [];
+  const waiters = [];
+  let problem = null;
+
+  const matches = (types, msg, where) => [].concat(types).includes(msg.type) && (!where || where(msg));
+
+  function deliver() {
+    for (const waiter of [...waiters]) {
+      if (problem) {
+        waiter.reject(problem);
+      } else {
+        const i = inbox.findIndex((msg) => matches(waiter.types, msg, waiter.where));
+        if (i === -1) continue;
+        waiter.resolve(inbox.splice(i, 1)[0]);
+      }
+      clearTimeout(waiter.timer);
+      waiters.splice(waiters.indexOf(waiter), 1);
+    }
+  }
+
+  ws.on("message", (data) => {
+    const msg = JSON.parse(data.toString("utf8"));
+    const invalid = validateMessage("server", msg);
+    if (invalid && !problem) problem = new Error(`Server sent an invalid message: ${invalid.message}\n${JSON.stringify(msg)}`);
+    inbox.push(msg);
+    deliver();
+  });
+
+  const closed = new Promise((resolve) => ws.on("close", (code) => resolve(code)));
+
+  const client = {
+    ws,
+    id: null,
+    inbox,
+    closed,
+    send(msg) {
+      ws.send(typeof msg === "string" ? msg : JSON.stringify(msg));
+    },
+    next(types, { timeout = DEFAULT_TIMEOUT_MS, where } = {}) {
+      return new Promise((resolve, reject) => {
+        const waiter = { types, where, resolve, reject };
+        waiter.timer = setTimeout(() => {
+          waiters.splice(waiters.indexOf(waiter), 1);
+          reject(new Error(`Timed out waiting for ${[].concat(types).join("/")}; queued: ${inbox.map((m) => m.type).join(", ") || "nothing"}`));
+        }, timeout);
+        waiters.push(waiter);
+        deliver();
+      });
+    },
+    async none(types, ms = 150) {
+      await new Promise((resolve) => setTimeout(resolve, ms));
+      const found = inbox.find((msg) => matches(types, msg));
+      if (found) throw new Error(`Did not expect ${found.type}: ${JSON.stringify(found)}`);
+      if (problem) throw problem;
+    },
+    join(fields) {
+      client.send({ type: "join", protocol: PROTOCOL_VERSION, ...fields });
+      return client.next(["joined", "error"]);
+    },
+    close() {
+      ws.close();
+      return closed;
+    },
+  };
+
+  const hello = await client.next("hello");
+  client.id = hello.id;
+  client.resumeToken = hello.resumeToken;
+  return client;
+}
+
+/** A room with its host joined. */
+async function hostRoom(server, options = {}, name = "Host") {
+  const { roomId, hostToken } = await createRoom(server, options);
+  const host = await connect(server);
+  const joined = await host.join({ roomId, role: "host", hostToken, name });
+  if (joined.type !== "joined") throw new Error(`Host join failed: ${joined.code}`);
+  return { roomId, hostToken, host };
+}
+
+module.exports = { startServer, createRoom, roomInfo, connect, hostRoom };
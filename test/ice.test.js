@@ -0,0 +1,46 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const { buildIceConfig, turnRestCredentials } = require("../lib/ice");
+
+const NOW = Date.UTC(2024, 0, 1);
+
+test("TURN REST credentials are an expiry-stamped username and its HMAC-SHA1", () => {
+  const creds = turnRestCredentials("devsecret", "abc", 600, NOW);
+  const expiry = NOW / 1000 + 600;
+  assert.equal(creds.username, `${expiry}:abc`);
+  assert.equal(creds.credential, crypto.createHmac("sha1", "devsecret").update(creds.username).digest("base64"));
+  assert.equal(creds.expiresAt, expiry * 1000);
+  assert.equal(turnRestCredentials("devsecret", "", 600, NOW).username, String(expiry));
+});
+
+test("STUN only by default, with no expiry", () => {
+  const config = buildIceConfig({}, { now: NOW });
+  assert.equal(config.expiresAt, null);
+  assert.ok(config.iceServers.length > 0);
+  assert.ok(config.iceServers.every((s) => String(s.urls).startsWith("stun:") && !s.username));
+  assert.deepEqual(buildIceConfig({ STUN_URLS: "" }).iceServers, []);
+});
+
+test("a TURN secret mints credentials that expire after TURN_TTL_SECONDS", () => {
+  const env = { STUN_URLS: "stun:a", TURN_URLS: "turn:t:3478, turns:t:5349", TURN_SECRET: "s", TURN_TTL_SECONDS: "60" };
+  const config = buildIceConfig(env, { userId: "u1", now: NOW });
+  assert.equal(config.expiresAt, NOW + 60000);
+  const turn = config.iceServers[1];
+  assert.deepEqual(turn.urls, ["turn:t:3478", "turns:t:5349"]);
+  const { username, credential } = turnRestCredentials("s", "u1", 60, NOW);
+  assert.deepEqual(turn, { urls: ["turn:t:3478", "turns:t:5349"], username, credential });
+
+  // Later requests get later expiries; the default lifetime is a day
+  assert.equal(buildIceConfig(env, { userId: "u1", now: NOW + 1000 }).expiresAt, NOW + 61000);
+  assert.equal(buildIceConfig({ ...env, TURN_TTL_SECONDS: undefined }, { now: NOW }).expiresAt, NOW + 86400000);
+});
+
+test("static TURN credentials and ICE_SERVERS overrides don't expire", () => {
+  const config = buildIceConfig({ STUN_URLS: "", TURN_URLS: "turn:t", TURN_USERNAME: "u", TURN_CREDENTIAL: "p" });
+  assert.deepEqual(config, { iceServers: [{ urls: ["turn:t"], username: "u", credential: "p" }], expiresAt: null });
+
+  const servers = [{ urls: "stun:custom" }];
+  assert.deepEqual(buildIceConfig({ ICE_SERVERS: JSON.stringify(servers), TURN_SECRET: "s" }), { iceServers: servers, expiresAt: null });
+  assert.throws(() => buildIceConfig({ ICE_SERVERS: "{}" }), /JSON array/);
+});
@@ -0,0 +1,58 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { createTokenBucket, createRateLimiter, limitsFromEnv, DEFAULT_MAX_PAYLOAD_BYTES } = require("../lib/limits");
+
+function fakeClock() {
+  let t = 0;
+  const now = () => t;
+  now.advance = (ms) => { t += ms; };
+  return now;
+}
+
+test("a token bucket allows a burst, then refills at its rate", () => {
+  const now = fakeClock();
+  const bucket = createTokenBucket({ rate: 2, burst: 3 }, now);
+  assert.deepEqual([1, 2, 3, 4].map(() => bucket.take()), [true, true, true, false]);
+  assert.equal(bucket.available(), false);
+  now.advance(500);
+  assert.equal(bucket.available(), true);
+  assert.equal(bucket.take(), true);
+  assert.equal(bucket.take(), false);
+  bucket.refund();
+  assert.equal(bucket.take(), true);
+  // Refunds never go past the burst
+  for (let i = 0; i < 5; i++) bucket.refund();
+  assert.deepEqual([1, 2, 3, 4].map(() => bucket.take()), [true, true, true, false]);
+});
+
+test("messages over a type's limit are dropped, and enough drops mean flooding", () => {
+  const now = fakeClock();
+  const limiter = createRateLimiter({
+    limits: { default: { rate: 1, burst: 1 }, chat: { rate: 1, burst: 2 } },
+    strikes: { rate: 1, burst: 2 },
+    now,
+  });
+  assert.equal(limiter.check("chat"), "ok");
+  assert.equal(limiter.check("chat"), "ok");
+  // Other types have their own bucket
+  assert.equal(limiter.check("rename"), "ok");
+  assert.equal(limiter.check("chat"), "limited");
+  assert.equal(limiter.check("chat"), "limited");
+  assert.equal(limiter.check("chat"), "flood");
+});
+
+test("strikes also come from rejected frames", () => {
+  const limiter = createRateLimiter({ strikes: { rate: 1, burst: 1 }, now: fakeClock() });
+  assert.equal(limiter.strike(), "ok");
+  assert.equal(limiter.strike(), "flood");
+});
+
+test("limits are read from the environment and bad values throw", () => {
+  const { maxPayload, limits } = limitsFromEnv({ RATE_LIMITS: '{"chat":{"rate":2,"burst":10}}' });
+  assert.equal(maxPayload, DEFAULT_MAX_PAYLOAD_BYTES);
+  assert.deepEqual(limits.chat, { rate: 2, burst: 10 });
+  assert.ok(limits.signal);
+
+  assert.throws(() => limitsFromEnv({ MAX_PAYLOAD_BYTES: "12" }), /MAX_PAYLOAD_BYTES/);
+  assert.throws(() => limitsFromEnv({ RATE_LIMITS: '{"chat":{"rate":0,"burst":1}}' }), /RATE_LIMITS.chat/);
+});
@@ -0,0 +1,39 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { execFileSync } = require("node:child_process");
+const path = require("node:path");
+const { validate, validateMessage, ERRORS } = require("../lib/protocol");
+
+test("client messages are checked strictly", () => {
+  assert.equal(validateMessage("client", { type: "chat", message: "hi" }), null);
+  assert.equal(validateMessage("client", { type: "chat", message: "hi", extra: 1 }).code, "invalid_message");
+  assert.equal(validateMessage("client", { type: "chat" }).code, "invalid_message");
+  assert.equal(validateMessage("client", { type: "dance" }).code, "unknown_type");
+  assert.equal(validateMessage("client", []).code, "invalid_json");
+});
+
+test("signal payloads must be a description and/or a candidate", () => {
+  const ok = (data) => validateMessage("client", { type: "signal", to: "x", data });
+  assert.equal(ok({ description: { type: "offer", sdp: "v=0" } }), null);
+  assert.equal(ok({ candidate: { candidate: "a", sdpMid: "0", sdpMLineIndex: 0 } }), null);
+  assert.equal(ok({}).code, "invalid_message");
+  assert.equal(ok({ description: { type: "rollback", sdp: "" } }).code, "invalid_message");
+  assert.equal(ok({ candidate: { candidate: "a", sdpMLineIndex: -1 } }).code, "invalid_message");
+});
+
+test("server messages may carry fields the schema doesn't know", () => {
+  assert.equal(validateMessage("server", { type: "system", message: "hi", color: "red" }), null);
+  assert.equal(validateMessage("server", { type: "error", code: "made_up", message: "?" }).code, "invalid_message");
+  assert.ok(ERRORS.flooding.fatal);
+});
+
+test("validate reports where a value is wrong", () => {
+  const schema = { type: "object", properties: { list: { type: "array", items: { type: "string", maxLength: 2 } } } };
+  assert.equal(validate(schema, { list: ["ok", "long"] }), "value.list[1] is longer than 2");
+  assert.equal(validate({ type: ["integer", "null"] }, 1.5, "n"), "n must be integer or null");
+  assert.equal(validate({ type: "number" }, Infinity), "value must be finite");
+});
+
+test("PROTOCOL.md matches lib/protocol.js", () => {
+  execFileSync(process.execPath, [path.join(__dirname, "..", "scripts", "gen-protocol-doc.js"), "--check"], { stdio: "pipe" });
+});
@@ -0,0 +1,567 @@
+const { test, describe, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { startServer, createRoom, roomInfo, connect, hostRoom } = require("./harness");
+
+const exportChat = (server, roomId, hostToken, format = "json") =>
+  fetch(`${server.url}/api/room/${roomId}/chat?format=${format}`, { headers: { Authorization: `Bearer ${hostToken}` } });
+
+const offer = { description: { type: "offer", sdp: "v=0 offer" } };
+const answer = { description: { type: "answer", sdp: "v=0 answer" } };
+
+describe("signaling server", () => {
+  let server;
+  before(async () => {
+    server = await startServer({ HOST_GRACE_MS: "300", VIEWER_GRACE_MS: "300", TRUST_PROXY: "1" });
+  });
+  after(() => server.close());
+
+  describe("join", () => {
+    test("hello carries the protocol version and joins must repeat it", async () => {
+      const { roomId } = await createRoom(server);
+      const client = await connect(server);
+      client.send({ type: "join", roomId, role: "viewer", name: "Old page" });
+      const err = await client.next("error");
+      assert.equal(err.code, "protocol_mismatch");
+      await client.close();
+    });
+
+    test("unknown rooms and wrong host tokens are refused", async () => {
+      const { roomId } = await createRoom(server);
+      const client = await connect(server);
+      assert.equal((await client.join({ roomId: "nope", role: "viewer" })).code, "room_not_found");
+      assert.equal((await client.join({ roomId, role: "host", hostToken: "guess" })).code, "host_token_invalid");
+      await client.close();
+    });
+
+    test("password guesses are limited per address, never the right password for others' guesses", async () => {
+      const { roomId } = await createRoom(server, { password: "secret" });
+      // A new connection for each guess, so only the password limit applies
+      const guess = async (address, fields) => {
+        const viewer = await connect(server, { headers: { "X-Forwarded-For": `192.0.2.1, ${address}` } });
+        const reply = await viewer.join({ role: "viewer", name: "Guess", ...fields });
+        await viewer.close();
+        return reply;
+      };
+      assert.equal((await guess("10.0.0.1", { roomId })).code, "password_required");
+      // Guesses sent at once can't all slip in while the hashes run
+      const replies = await Promise.all(Array.from({ length: 20 }, (_, i) => guess("10.0.0.1", { roomId, password: `no${i}` })));
+      const codes = replies.map((r) => r.code);
+      assert.equal(codes.filter((c) => c === "bad_password").length, 10);
+      assert.equal(codes.filter((c) => c === "rate_limited").length, 10);
+      assert.match(replies.find((r) => r.code === "rate_limited").message, /wrong passwords/);
+      assert.equal((await guess("10.0.0.1", { roomId, password: "secret" })).code, "rate_limited");
+
+      // Nobody else is locked out, and right passwords don't use up guesses
+      for (let i = 0; i < 12; i++) assert.equal((await guess("10.0.0.2", { roomId, password: "secret" })).type, "joined");
+    });
+
+    test("the host joins with its token and gets an empty roster", async () => {
+      const { roomId, hostToken } = await createRoom(server);
+      const host = await connect(server);
+      const joined = await host.join({ roomId, role: "host", hostToken, name: "Ana" });
+      assert.equal(joined.type, "joined");
+      assert.equal(joined.role, "host");
+      assert.deepEqual(joined.roster.host, { id: host.id, name: "Ana" });
+      assert.deepEqual(joined.roster.viewers, []);
+      assert.equal((await roomInfo(server, roomId)).hostOnline, true);
+      await host.close();
+    });
+
+    test("a second host socket with the token takes over and the old one is closed", async () => {
+      const { roomId, hostToken, host } = await hostRoom(server);
+      const viewer = await connect(server);
+      await viewer.join({ roomId, role: "viewer", name: "Vic" });
+
+      const newHost = await connect(server);
+      const joined = await newHost.join({ roomId, role: "host", hostToken, name: "Host" });
+      assert.equal(joined.type, "joined");
+      assert.equal((await host.next("error")).code, "host_replaced");
+      await host.closed;
+      assert.equal((await viewer.next("host_ready")).hostId, newHost.id);
+      assert.deepEqual(joined.roster.viewers.map((v) => v.name), ["Vic"]);
+
+      await Promise.all([viewer.close(), newHost.close()]);
+    });
+
+    test("a viewer who arrives before the host waits in the lobby and is let in when it joins", async () => {
+      const { roomId, hostToken } = await createRoom(server);
+      const viewer = await connect(server);
+      const joined = await viewer.join({ roomId, role: "viewer", name: "Early" });
+      assert.equal(joined.type, "joined");
+      assert.equal(joined.waiting, true);
+      assert.equal(joined.hostId, undefined);
+
+      // No stream for the lobby
+      viewer.send({ type: "signal", to: "anyone", data: answer });
+      assert.equal((await viewer.next("error")).code, "waiting_room");
+
+      const host = await connect(server);
+      const hostJoined = await host.join({ roomId, role: "host", hostToken });
+      assert.deepEqual(hostJoined.roster.viewers, [{ id: viewer.id, name: "Early" }]);
+      assert.equal((await viewer.next("host_ready")).hostId, host.id);
+
+      await Promise.all([viewer.close(), host.close()]);
+    });
+
+    test("with the waiting room on, the host admits viewers itself", async () => {
+      const { roomId, host } = await hostRoom(server, { waitingRoom: true });
+      const viewer = await connect(server);
+      assert.equal((await viewer.join({ roomId, role: "viewer", name: "Val" })).waiting, true);
+      await host.none("viewer_joined");
+
+      host.send({ type: "admit", viewerId: viewer.id });
+      assert.equal((await host.next("viewer_joined")).viewerId, viewer.id);
+      await viewer.next("host_ready");
+
+      await Promise.all([viewer.close(), host.close()]);
+    });
+
+    test("a viewer that drops can resume with its id", async () => {
+      const { roomId, host } = await hostRoom(server);
+      const viewer = await connect(server);
+      const joined = await viewer.join({ roomId, role: "viewer", name: "Rae" });
+      viewer.ws.terminate();
+      await viewer.closed;
+
+      const again = await connect(server);
+      const resumed = await again.join({ roomId, role: "viewer", name: "Rae", resume: { id: viewer.id, token: joined.resumeToken } });
+      assert.equal(resumed.id, viewer.id);
+      assert.equal(resumed.resumed, true);
+      const notice = await host.next("viewer_joined", { where: (m) => m.resumed });
+      assert.equal(notice.viewerId, viewer.id);
+
+      await Promise.all([again.close(), host.close()]);
+    });
+
+    test("only participants get ICE servers", async () => {
+      const { roomId, host } = await hostRoom(server);
+      const viewer = await connect(server);
+      const joined = await viewer.join({ roomId, role: "viewer", name: "Ice" });
+      const iceConfig = (query) => fetch(`${server.url}/api/ice-config?${new URLSearchParams(query)}`);
+
+      const ok = await iceConfig({ roomId, id: viewer.id, token: joined.resumeToken });
+      assert.equal(ok.status, 200);
+      assert.ok(Array.isArray((await ok.json()).iceServers));
+
+      const stranger = await connect(server);
+      assert.equal((await iceConfig({})).status, 403);
+      assert.equal((await iceConfig({ roomId, id: viewer.id, token: "guess" })).status, 403);
+      // A valid token is not enough: the id has to be in the room
+      assert.equal((await iceConfig({ roomId, id: stranger.id, token: stranger.resumeToken })).status, 403);
+
+      await Promise.all([stranger.close(), viewer.close(), host.close()]);
+    });
+  });
+
+  describe("signal", () => {
+    test("offers and answers are relayed between host and viewer", async () => {
+      const { roomId, host } = await hostRoom(server);
+      const viewer = await connect(server);
+      await viewer.join({ roomId, role: "viewer", name: "Vi" });
+      assert.equal((await host.next("viewer_joined")).viewerId, viewer.id);
+
+      host.send({ type: "signal", to: viewer.id, data: offer });
+      const relayed = await viewer.next("signal");
+      assert.equal(relayed.from, host.id);
+      assert.deepEqual(relayed.data, offer);
+
+      viewer.send({ type: "signal", to: host.id, data: answer });
+      assert.deepEqual((await host.next("signal")).data, answer);
+
+      await Promise.all([viewer.close(), host.close()]);
+    });
+
+    test("unknown targets and malformed payloads are rejected", async () => {
+      const { host } = await hostRoom(server);
+      host.send({ type: "signal", to: "nobody", data: offer });
+      assert.equal((await host.next("error")).code, "invalid_target");
+
+      host.send({ type: "signal", to: "nobody", data: { description: { type: "offer" } } });
+      assert.equal((await host.next("error")).code, "invalid_message");
+
+      host.send("not json");
+      assert.equal((await host.next("error")).code, "invalid_json");
+      await host.close();
+    });
+
+    test("viewers can't signal each other outside the call", async () => {
+      const { roomId, host } = await hostRoom(server);
+      const viewer = await connect(server);
+      await viewer.join({ roomId, role: "viewer", name: "Eve" });
+      const other = await connect(server);
+      await other.join({ roomId, role: "viewer", name: "Bob" });
+
+      viewer.send({ type: "signal", to: other.id, data: offer });
+      assert.equal((await viewer.next("error")).code, "invalid_target");
+      await other.none("signal");
+
+      await Promise.all([viewer.close(), other.close(), host.close()]);
+    });
+
+    test("signals need a room", async () => {
+      const client = await connect(server);
+      client.send({ type: "signal", to: "x", data: offer });
+      assert.equal((await client.next("error")).code, "not_in_room");
+      await client.close();
+    });
+  });
+
+  describe("chat", () => {
+    test("messages reach everyone, sender included, and are replayed to late joiners", async () => {
+      const { roomId, host } = await hostRoom(server, {}, "Hana");
+      const viewer = await connect(server);
+      await viewer.join({ roomId, role: "viewer", name: "Vik" });
+
+      viewer.send({ type: "chat", message: "hi all" });
+      const [atHost, atViewer] = await Promise.all([host.next("chat"), viewer.next("chat")]);
+      assert.equal(atHost.message, "hi all");
+      assert.equal(atHost.name, "Vik");
+      assert.equal(atHost.from, viewer.id);
+      assert.deepEqual(atViewer, atHost);
+
+      const late = await connect(server);
+      const joined = await late.join({ roomId, role: "viewer", name: "Late" });
+      assert.deepEqual(joined.chatHistory.map((c) => c.message), ["hi all"]);
+
+      await Promise.all([viewer.close(), late.close(), host.close()]);
+    });
+
+    test("a muted viewer stays muted after leaving and joining afresh, until unmuted", async () => {
+      const { roomId, host } = await hostRoom(server);
+      const viewer = await connect(server);
+      await viewer.join({ roomId, role: "viewer", name: "Moe" });
+      host.send({ type: "mute", viewerId: viewer.id, muted: true });
+      await viewer.next("muted");
+      await viewer.close();
+
+      const again = await connect(server);
+      const joined = await again.join({ roomId, role: "viewer", name: " moe " });
+      assert.equal(joined.roster.viewers.find((v) => v.id === again.id).muted, true);
+      again.send({ type: "chat", message: "I'm back" });
+      assert.equal((await again.next("error")).code, "muted");
+
+      host.send({ type: "mute", viewerId: again.id, muted: false });
+      assert.equal((await again.next("muted")).muted, false);
+      await again.close();
+      const third = await connect(server);
+      await third.join({ roomId, role: "viewer", name: "Moe" });
+      third.send({ type: "chat", message: "hello" });
+      assert.equal((await third.next("chat")).message, "hello");
+
+      await Promise.all([third.close(), host.close()]);
+    });
+
+    test("the host can export the chat with its token", async () => {
+      const { roomId, hostToken, host } = await hostRoom(server, {}, "Hana");
+      host.send({ type: "chat", message: "for the record" });
+      await host.next("chat");
+
+      const ok = await exportChat(server, roomId, hostToken, "txt");
+      assert.equal(ok.status, 200);
+      assert.match(await ok.text(), /\] Hana: for the record\n$/);
+      assert.equal((await exportChat(server, roomId, "guess")).status, 403);
+      assert.equal((await exportChat(server, "nope", hostToken)).status, 404);
+
+      await host.close();
+    });
+
+    test("unknown fields are rejected", async () => {
+      const { host } = await hostRoom(server);
+      host.send({ type: "chat", message: "hi", color: "red" });
+      assert.equal((await host.next("error")).code, "invalid_message");
+      await host.none("chat");
+      await host.close();
+    });
+  });
+
+  describe("stats", () => {
+    test("viewer reports reach the host, cleaned up, latency included", async () => {
+      const { roomId, host } = await hostRoom(server);
+      const viewer = await connect(server);
+      await viewer.join({ roomId, role: "viewer", name: "Lat" });
+
+      viewer.send({ type: "stats", stats: { bitrateKbps: 2500, fps: 30, rttMs: 40, latencyMs: 180, candidateType: "tunnel" } });
+      const report = await host.next("viewer_stats");
+      assert.equal(report.viewerId, viewer.id);
+      assert.equal(report.stats.latencyMs, 180);
+      assert.equal(report.stats.candidateType, null);
+      assert.equal(report.stats.jitterMs, null);
+
+      host.send({ type: "stats", stats: { fps: 30 } });
+      assert.equal((await host.next("error")).code, "not_viewer");
+
+      await Promise.all([viewer.close(), host.close()]);
+    });
+  });
+
+  describe("recording", () => {
+    test("viewers hear when the host records, and late joiners see it in joined", async () => {
+      const { roomId, hostToken, host } = await hostRoom(server);
+      const viewer = await connect(server);
+      await viewer.join({ roomId, role: "viewer", name: "Viv" });
+
+      viewer.send({ type: "recording", state: "recording" });
+      assert.equal((await viewer.next("error")).code, "not_host");
+
+      host.send({ type: "recording", state: "recording" });
+      assert.equal((await viewer.next("recording")).state, "recording");
+      host.send({ type: "recording", state: "paused" });
+      assert.equal((await viewer.next("recording")).state, "paused");
+
+      const late = await connect(server);
+      assert.equal((await late.join({ roomId, role: "viewer", name: "Late" })).recording, "paused");
+
+      // A new host page isn't recording anything
+      const again = await connect(server);
+      await again.join({ roomId, role: "host", hostToken });
+      assert.equal((await viewer.next("recording")).state, "stopped");
+
+      await Promise.all([viewer.close(), late.close(), again.close(), host.closed]);
+    });
+
+    test("a host resuming within its grace period is back, still recording", async () => {
+      const { roomId, hostToken, host } = await hostRoom(server);
+      const viewer = await connect(server);
+      await viewer.join({ roomId, role: "viewer", name: "Viv" });
+      host.send({ type: "recording", state: "recording" });
+      await viewer.next("recording");
+
+      host.ws.terminate();
+      await viewer.next("host_reconnecting");
+      const again = await connect(server);
+      const joined = await again.join({ roomId, role: "host", hostToken, resume: { id: host.id, token: host.resumeToken } });
+      assert.equal(joined.resumed, true);
+      assert.equal(joined.recording, "recording");
+      const back = await viewer.next("roster_update", { where: (m) => m.event.role === "host" && m.event.kind !== "away" });
+      assert.equal(back.event.kind, "back");
+      await viewer.none("recording");
+
+      await Promise.all([viewer.close(), again.close()]);
+    });
+  });
+
+  describe("synced playback", () => {
+    test("time_sync answers with the server clock, even before joining", async () => {
+      const client = await connect(server);
+      const before = Date.now();
+      client.send({ type: "time_sync", t0: 42.5 });
+      const reply = await client.next("time_sync");
+      assert.equal(reply.t0, 42.5);
+      assert.ok(reply.serverTime >= before && reply.serverTime <= Date.now());
+      await client.close();
+    });
+
+    test("the host's player state is stamped and passed on, and late joiners get it in joined", async () => {
+      const { roomId, host } = await hostRoom(server);
+      const viewer = await connect(server);
+      assert.deepEqual((await viewer.join({ roomId, role: "viewer", name: "Pat" })).playback, { source: "screen" });
+
+      const media = { name: "movie.mkv", size: 1234, duration: 5400 };
+      const before = Date.now();
+      host.send({ type: "playback", source: "file", media, paused: false, position: 61.5, rate: 1.25 });
+      const state = await viewer.next("playback");
+      assert.deepEqual({ ...state, at: 0 }, { type: "playback", roomId, source: "file", media, paused: false, position: 61.5, rate: 1.25, at: 0 });
+      assert.ok(state.at >= before);
+      await viewer.next("system", { where: (m) => m.message.includes('synced playback of "movie.mkv"') });
+      await host.none("playback");
+
+      const late = await connect(server);
+      assert.equal((await late.join({ roomId, role: "viewer", name: "Late" })).playback.position, 61.5);
+
+      viewer.send({ type: "playback", source: "screen" });
+      assert.equal((await viewer.next("error")).code, "not_host");
+      host.send({ type: "playback", source: "file", media: { name: "x", url: "javascript:alert(1)" } });
+      assert.equal((await host.next("error")).code, "invalid_message");
+
+      host.send({ type: "playback", source: "screen" });
+      assert.equal((await late.next("playback")).source, "screen");
+
+      await Promise.all([viewer.close(), late.close(), host.close()]);
+    });
+  });
+
+  describe("call", () => {
+    test("joining the call shows in the roster and opens the call channel", async () => {
+      const { roomId, host } = await hostRoom(server);
+      const viewer = await connect(server);
+      await viewer.join({ roomId, role: "viewer", name: "Cal" });
+
+      // Nobody is in the call yet
+      host.send({ type: "signal", to: viewer.id, data: offer, channel: "call" });
+      assert.equal((await host.next("error")).code, "invalid_target");
+
+      viewer.send({ type: "call", active: true, camera: true });
+      const update = await host.next("roster_update", { where: (m) => m.event.kind === "call" });
+      assert.deepEqual(update.roster.viewers, [{ id: viewer.id, name: "Cal", inCall: true, camera: true }]);
+
+      // Call signals carry their channel and never mix with the stream's
+      host.send({ type: "signal", to: viewer.id, data: offer, channel: "call" });
+      const relayed = await viewer.next("signal");
+      assert.equal(relayed.channel, "call");
+      assert.deepEqual(relayed.data, offer);
+
+      viewer.send({ type: "call", active: false });
+      const left = await host.next("roster_update", { where: (m) => m.event.kind === "call" });
+      assert.equal(left.roster.viewers[0].inCall, undefined);
+
+      await Promise.all([viewer.close(), host.close()]);
+    });
+
+    test("while the call is restricted only viewers the host allows may talk", async () => {
+      const { roomId, host } = await hostRoom(server);
+      const viewer = await connect(server);
+      await viewer.join({ roomId, role: "viewer", name: "Tam" });
+      viewer.send({ type: "call", active: true });
+      await host.next("roster_update", { where: (m) => m.event.kind === "call" });
+
+      // Restricting drops everyone the host didn't allow
+      host.send({ type: "call_open", enabled: false });
+      const restricted = await viewer.next("roster_update", { where: (m) => m.event.kind === "call_open" });
+      assert.equal(restricted.roster.callOpen, false);
+      assert.equal(restricted.roster.viewers[0].inCall, undefined);
+
+      viewer.send({ type: "call", active: true });
+      assert.equal((await viewer.next("error")).code, "talk_not_allowed");
+      viewer.send({ type: "allow_talk", viewerId: viewer.id, allowed: true });
+      assert.equal((await viewer.next("error")).code, "not_host");
+
+      host.send({ type: "allow_talk", viewerId: viewer.id, allowed: true });
+      const allowed = await viewer.next("roster_update", { where: (m) => m.event.kind === "allow_talk" });
+      assert.equal(allowed.roster.viewers[0].canTalk, true);
+      viewer.send({ type: "call", active: true });
+      await host.next("roster_update", { where: (m) => m.event.kind === "call" && m.roster.viewers[0].inCall });
+
+      // Taking it back ends their turn
+      host.send({ type: "allow_talk", viewerId: viewer.id, allowed: false });
+      const revoked = await viewer.next("roster_update", { where: (m) => m.event.kind === "allow_talk" && !m.roster.viewers[0].canTalk });
+      assert.equal(revoked.roster.viewers[0].inCall, undefined);
+
+      await Promise.all([viewer.close(), host.close()]);
+    });
+  });
+
+  describe("teardown", () => {
+    test("the host leaving closes the room for everyone", async () => {
+      const { roomId, host } = await hostRoom(server);
+      const viewer = await connect(server);
+      await viewer.join({ roomId, role: "viewer", name: "Vee" });
+
+      host.send({ type: "leave" });
+      await viewer.next("host_left");
+      await Promise.all([viewer.closed, host.closed]);
+      assert.equal(await roomInfo(server, roomId), null);
+    });
+
+    test("a dropped host gets a grace period, then the room closes", async () => {
+      const { roomId, host } = await hostRoom(server);
+      const viewer = await connect(server);
+      await viewer.join({ roomId, role: "viewer", name: "Vee" });
+
+      host.ws.terminate();
+      assert.equal((await viewer.next("host_reconnecting")).graceMs, 300);
+      assert.ok(await roomInfo(server, roomId));
+      await viewer.next("host_left");
+      await viewer.closed;
+      assert.equal(await roomInfo(server, roomId), null);
+    });
+
+    test("an early viewer leaving before the host joined doesn't remove the room", async () => {
+      const { roomId, hostToken } = await createRoom(server);
+      const viewer = await connect(server);
+      await viewer.join({ roomId, role: "viewer", name: "Solo" });
+
+      viewer.send({ type: "leave" });
+      await viewer.closed;
+      await new Promise((resolve) => setTimeout(resolve, 50));
+      assert.equal((await roomInfo(server, roomId)).hostOnline, false);
+
+      const host = await connect(server);
+      const joined = await host.join({ roomId, role: "host", hostToken });
+      assert.equal(joined.type, "joined");
+      assert.deepEqual(joined.roster.viewers, []);
+      await host.close();
+    });
+
+    test("a viewer that drops is removed after its grace period", async () => {
+      const { roomId, host } = await hostRoom(server);
+      const viewer = await connect(server);
+      await viewer.join({ roomId, role: "viewer", name: "Gone" });
+
+      viewer.ws.terminate();
+      const away = await host.next("roster_update", { where: (m) => m.event.kind === "away" });
+      assert.deepEqual(away.roster.viewers, [{ id: viewer.id, name: "Gone", away: true }]);
+      assert.equal((await host.next("viewer_left")).viewerId, viewer.id);
+      await host.close();
+    });
+  });
+});
+
+describe("chat export with a file store", () => {
+  let server;
+  let dir;
+  before(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "uwt-chat-"));
+    server = await startServer({ CHAT_STORE: "file", CHAT_STORE_PATH: dir });
+  });
+  after(() => {
+    server.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test("still works after the room closed, for the host token only", async () => {
+    const { roomId, hostToken, host } = await hostRoom(server, {}, "Hana");
+    host.send({ type: "chat", message: "last words" });
+    await host.next("chat");
+    host.send({ type: "leave" });
+    await host.closed;
+    assert.equal(await roomInfo(server, roomId), null);
+
+    const res = await exportChat(server, roomId, hostToken);
+    assert.equal(res.status, 200);
+    const data = await res.json();
+    assert.equal(data.roomId, roomId);
+    assert.deepEqual(data.messages.map((c) => [c.name, c.message]), [["Hana", "last words"]]);
+    assert.equal((await exportChat(server, roomId, "guess")).status, 403);
+  });
+});
+
+describe("room sweep", () => {
+  let server;
+  before(async () => {
+    server = await startServer({ ROOM_UNCLAIMED_TTL_MS: "100", ROOM_SWEEP_MS: "50", HOST_GRACE_MS: "5000" });
+  });
+  after(() => server.close());
+  const sweeps = () => new Promise((resolve) => setTimeout(resolve, 300));
+
+  test("a room nobody joins is dropped", async () => {
+    const { roomId } = await createRoom(server);
+    assert.ok(await roomInfo(server, roomId));
+    await sweeps();
+    assert.equal(await roomInfo(server, roomId), null);
+  });
+
+  test("a room emptied before the host joined is dropped", async () => {
+    const { roomId } = await createRoom(server);
+    const viewer = await connect(server);
+    await viewer.join({ roomId, role: "viewer", name: "Early" });
+    await sweeps();
+    // Occupied rooms stay, however old
+    assert.ok(await roomInfo(server, roomId));
+
+    viewer.send({ type: "leave" });
+    await viewer.closed;
+    await sweeps();
+    assert.equal(await roomInfo(server, roomId), null);
+  });
+
+  test("a room waiting for its host to come back is kept", async () => {
+    const { roomId, host } = await hostRoom(server);
+    host.ws.terminate();
+    await host.closed;
+    await sweeps();
+    assert.equal((await roomInfo(server, roomId)).hostOnline, false);
+  });
+});